@@ -1,20 +1,30 @@
 /**
- * LRU Cache implementation with TTL support for search results
+ * Cache stores with TTL support for search results
+ *
+ * Every store implements the same interface: get, set, has, delete, clear
+ * and getStats. Methods may return plain values (in-memory LRU) or promises
+ * (file-system store), so callers should always await them.
  */
 
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
 const { LRUCache } = require('lru-cache');
+const { InvalidInputError } = require('./errors');
+const { DEFAULTS } = require('./config');
 
 /**
- * Creates a new cache instance with configurable size and TTL
+ * Creates a new in-memory LRU cache instance with configurable size and TTL
+ * This is the default store used by search()
  * @param {Object} options - Cache options
  * @param {number} options.maxSize - Maximum number of entries (default: 100)
  * @param {number} options.ttl - Time to live in milliseconds (default: 300000 = 5 minutes)
- * @returns {Object} - Cache instance with get, set, has, clear methods
+ * @returns {Object} - Cache instance with get, set, has, delete, clear methods
  */
 function createCache(options = {}) {
   const {
     maxSize = 100,
-    ttl = 300000 // 5 minutes default
+    ttl = DEFAULTS.cacheTTL
   } = options;
 
   const cache = new LRUCache({
@@ -38,9 +48,10 @@ function createCache(options = {}) {
      * Set a value in cache
      * @param {string} key - Cache key
      * @param {*} value - Value to cache
+     * @param {number} entryTtl - TTL for this entry in milliseconds (default: store TTL)
      */
-    set(key, value) {
-      cache.set(key, value);
+    set(key, value, entryTtl) {
+      cache.set(key, value, entryTtl ? { ttl: entryTtl } : undefined);
     },
 
     /**
@@ -52,6 +63,15 @@ function createCache(options = {}) {
       return cache.has(key);
     },
 
+    /**
+     * Remove a single entry from cache
+     * @param {string} key - Cache key
+     * @returns {boolean} - True if an entry was removed
+     */
+    delete(key) {
+      return cache.delete(key);
+    },
+
     /**
      * Clear all entries from cache
      */
@@ -74,7 +94,197 @@ function createCache(options = {}) {
   };
 }
 
+// Names of entry files, the hash of the key, and of the temporary files they are written to
+const ENTRY_FILE_PATTERN = /^[0-9a-f]{64}\.json$/;
+const TEMP_FILE_PATTERN = /^[0-9a-f]{64}\.json\.\d+\.[0-9a-f]{12}\.tmp$/;
+
+/**
+ * Tells whether a file name belongs to a file-system cache store
+ * @param {string} name - File name without directory
+ * @returns {boolean} - True for entry files and temporary files of interrupted writes
+ */
+function isCacheFile(name) {
+  return ENTRY_FILE_PATTERN.test(name) || TEMP_FILE_PATTERN.test(name);
+}
+
+/**
+ * Creates a file-system cache store that persists entries across processes
+ * Each entry is a JSON file named after a hash of its key. Writes go to a
+ * temporary file that is renamed into place, so concurrent writers from
+ * several processes never leave a partially written entry behind.
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory holding the cache files (required)
+ * @param {number} options.ttl - Time to live in milliseconds (default: 300000 = 5 minutes)
+ * @returns {Object} - Cache instance with async get, set, has, delete, clear methods
+ */
+function createFileStore(options = {}) {
+  const {
+    directory,
+    ttl = DEFAULTS.cacheTTL
+  } = options;
+
+  if (!directory || typeof directory !== 'string') {
+    throw new InvalidInputError('File cache store requires a directory');
+  }
+
+  /**
+   * Resolves the file path for a cache key
+   * @param {string} key - Cache key
+   * @returns {string} - Absolute file path
+   */
+  function entryPath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(directory, `${hash}.json`);
+  }
+
+  /**
+   * Reads an entry file, treating missing or corrupt files as absent
+   * @param {string} file - Entry file path
+   * @returns {Promise<Object|null>} - Stored entry or null
+   */
+  async function readEntry(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Removes a file, ignoring files that are already gone
+   * @param {string} file - File path
+   * @returns {Promise<boolean>} - True if the file was removed
+   */
+  async function removeFile(file) {
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the files of the store in the cache directory, leaving any other files alone
+   * @param {RegExp} pattern - File names to list, ENTRY_FILE_PATTERN or TEMP_FILE_PATTERN
+   * @returns {Promise<Array<string>>} - Absolute file paths
+   */
+  async function listFiles(pattern) {
+    try {
+      const files = await fs.readdir(directory);
+      return files
+        .filter(file => pattern.test(file))
+        .map(file => path.join(directory, file));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  return {
+    /**
+     * Get a value from cache, removing it if it has expired
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} - Cached value or undefined
+     */
+    async get(key) {
+      const file = entryPath(key);
+      const entry = await readEntry(file);
+
+      if (!entry || entry.key !== key) {
+        return undefined;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        await removeFile(file);
+        return undefined;
+      }
+
+      return entry.value;
+    },
+
+    /**
+     * Set a value in cache
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value to cache
+     * @param {number} entryTtl - TTL for this entry in milliseconds (default: store TTL)
+     * @returns {Promise<void>}
+     */
+    async set(key, value, entryTtl) {
+      const file = entryPath(key);
+      const tempFile = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      const entry = {
+        key,
+        value,
+        expiresAt: Date.now() + (entryTtl || ttl)
+      };
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(entry), 'utf8');
+
+      try {
+        await fs.rename(tempFile, file);
+      } catch (error) {
+        // A concurrent clear() removed the temporary file, which drops the entry
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        await removeFile(tempFile);
+        throw error;
+      }
+    },
+
+    /**
+     * Check if a non-expired entry exists in cache
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} - True if key exists
+     */
+    async has(key) {
+      return (await this.get(key)) !== undefined;
+    },
+
+    /**
+     * Remove a single entry from cache
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} - True if an entry was removed
+     */
+    async delete(key) {
+      return removeFile(entryPath(key));
+    },
+
+    /**
+     * Clear all entries from cache, and temporary files left by interrupted writes
+     * Other files in the directory are kept.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      const files = [...await listFiles(ENTRY_FILE_PATTERN), ...await listFiles(TEMP_FILE_PATTERN)];
+      await Promise.all(files.map(removeFile));
+    },
+
+    /**
+     * Get cache statistics
+     * @returns {Promise<Object>} - Cache stats
+     */
+    async getStats() {
+      const files = await listFiles(ENTRY_FILE_PATTERN);
+      return {
+        size: files.length,
+        directory: directory,
+        ttl: ttl
+      };
+    }
+  };
+}
+
 module.exports = {
-  createCache
+  createCache,
+  createFileStore,
+  isCacheFile
 };
 
@@ -0,0 +1,1032 @@
+/**
+ * Client factory holding the cache, request scheduler and robots.txt cache used by searches
+ */
+
+const {
+  searchDuckDuckGoHtml,
+  searchDuckDuckGoInstant,
+  fetchNextSearchPage,
+  fetchVqdPage,
+  searchDuckDuckGoVertical,
+  fetchNextVerticalPage,
+  fetchPage,
+  buildImageFilterParam,
+  buildFilterParams,
+  applyDeadline
+} = require('./fetcher');
+const {
+  parseSearchPage,
+  parseNextPageForm,
+  parseInstantAnswer,
+  parseVqdToken,
+  parseImageResults,
+  parseNewsResults,
+  parseVideoResults
+} = require('./parser');
+const { createCache, createFileStore } = require('./cache');
+const {
+  validateSearchFilters,
+  validateImageFilters,
+  validateNewsOptions,
+  validateConcurrency,
+  mapWithConcurrency
+} = require('./utils');
+const { createHostScheduler } = require('./scheduler');
+const { createRobotsCache } = require('./robots');
+const { createProxyPool } = require('./proxy');
+const { QuackfetchError, InvalidInputError, ParseError, createAbortError, raceAbort } = require('./errors');
+const { compileQuery } = require('./query');
+const { extractArticle, renderMarkdown } = require('./reader');
+const { DEFAULTS } = require('./config');
+
+// Config keys that shape the client's own instances rather than individual calls
+const CONSTRUCTION_KEYS = ['cacheStore', 'cacheDir', 'cacheSize', 'concurrency', 'burst'];
+
+/**
+ * Generates a cache key from query and options
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @returns {string} - Cache key
+ */
+function generateCacheKey(query, options) {
+  const relevantOptions = {
+    max: options.max || 10,
+    maxPages: options.maxPages || 10,
+    useInstantApi: options.useInstantApi || false,
+    region: options.region ? options.region.toLowerCase() : null,
+    safeSearch: options.safeSearch || null,
+    timeRange: options.timeRange || null
+  };
+  // Entries hold the whole parsed page, so they use their own prefix
+  return `serp:${query}:${JSON.stringify(relevantOptions)}`;
+}
+
+/**
+ * Picks the request settings the fetcher needs from the options of a call
+ * @param {Object} options - Call options
+ * @returns {Object} - { userAgent, rateLimitMs, checkRobots, robotsCache, scheduler, timeout, retries,
+ *   retryDelay, maxRetryAfter, proxy, noProxy }
+ */
+function requestSettings(options) {
+  const {
+    userAgent = DEFAULTS.userAgent,
+    rateLimit = DEFAULTS.rateLimit,
+    checkRobots = true,
+    robotsCache,
+    scheduler,
+    timeout,
+    retries,
+    retryDelay,
+    maxRetryAfter,
+    proxy,
+    noProxy
+  } = options;
+
+  return {
+    userAgent,
+    rateLimitMs: rateLimit,
+    checkRobots,
+    robotsCache,
+    scheduler,
+    timeout,
+    retries,
+    retryDelay,
+    maxRetryAfter,
+    proxy,
+    noProxy
+  };
+}
+
+/**
+ * Adds context to a lookup error without losing its class, code or details
+ * Errors that did not come from quackfetch become a QuackfetchError with the error as cause.
+ * @param {string} message - Message describing the failed lookup
+ * @param {Error} error - Original error
+ * @returns {QuackfetchError} - Error with the message in front
+ */
+function wrapError(message, error) {
+  if (error instanceof QuackfetchError) {
+    return error.withContext(message);
+  }
+  return new QuackfetchError(`${message}: ${error.message}`, { cause: error });
+}
+
+/**
+ * Copies results for a caller, flagging them as cached or stale
+ * Coalesced callers share the same array, so results are always copied.
+ * @param {Array<Object>} results - Results from the lookup
+ * @param {boolean} cached - Whether the results came from cache
+ * @param {boolean} stale - Whether the cache entry was stale
+ * @returns {Array<Object>} - Copied results
+ */
+function copyResults(results, cached, stale) {
+  return results.map(result => ({
+    ...result,
+    ...(cached && { cached: true }),
+    ...(stale && { stale: true })
+  }));
+}
+
+/**
+ * Tells whether a lookup found nothing worth caching
+ * @param {Array<Object>|Object|null} value - Result array, page object { results, ... } or answer
+ * @returns {boolean} - True for no value, an empty array or a page without results
+ */
+function isEmptyLookup(value) {
+  if (!value) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  return Array.isArray(value.results) && value.results.length === 0;
+}
+
+/**
+ * Appends page results that have not been seen yet, continuing the rank sequence
+ * @param {Array<Object>} results - Accumulated results (mutated)
+ * @param {Array<Object>} pageResults - Results parsed from a single page
+ * @param {Set<string>} seen - Values of the dedupe field already in results (mutated)
+ * @param {string} dedupeKey - Field identifying a result (default: 'url')
+ * @returns {number} - Number of results added
+ */
+function appendUniqueResults(results, pageResults, seen, dedupeKey = 'url') {
+  let added = 0;
+
+  for (const result of pageResults) {
+    const id = result[dedupeKey];
+    if (id && seen.has(id)) {
+      continue;
+    }
+    if (id) {
+      seen.add(id);
+    }
+
+    results.push({
+      ...result,
+      rank: results.length + 1
+    });
+    added++;
+  }
+
+  return added;
+}
+
+/**
+ * Identifies a query for resuming a batch, treating a structured query and its compiled string alike
+ * @param {string|Object} query - Search query string or structured query
+ * @returns {string} - Compiled query, or the JSON of a query that does not compile
+ */
+function batchKey(query) {
+  try {
+    return compileQuery(query);
+  } catch (error) {
+    return JSON.stringify(query);
+  }
+}
+
+/**
+ * Orders news results newest first, keeping undated articles last
+ * @param {Object} a - News result
+ * @param {Object} b - News result
+ * @returns {number} - Sort order
+ */
+function compareByDate(a, b) {
+  return (b.publishedAt ? Date.parse(b.publishedAt) : 0) - (a.publishedAt ? Date.parse(a.publishedAt) : 0);
+}
+
+/**
+ * Creates an isolated client with its own cache, rate limiter and request settings
+ * Every option of search() can be given here as a default for all calls; options
+ * passed to a call override them.
+ * @param {Object} config - Client configuration
+ * @param {number} config.cacheSize - Maximum size of the in-memory cache (default: 100)
+ * @param {number} config.cacheTTL - Cache TTL in milliseconds (default: 300000)
+ * @param {Object} config.cacheStore - Cache store to use instead of the in-memory cache
+ * @param {string} config.cacheDir - Directory of a file-system cache store, used when no cacheStore is given
+ * @param {number} config.concurrency - Maximum concurrent requests per host (default: 1)
+ * @param {number} config.burst - Token bucket capacity per host (default: 1)
+ * @param {Object} config.scheduler - Scheduler to share with other clients (default: a new one)
+ * @param {Object} config.robotsCache - Robots cache to share with other clients (default: a new one)
+ * @param {string} config.userAgent - User agent string
+ * @param {number} config.rateLimit - Rate limit per host in milliseconds (default: 1000)
+ * @param {number} config.timeout - Request timeout in milliseconds (default: 10000)
+ * @param {number} config.retries - Number of retry attempts (default: 2)
+ * @param {number} config.retryDelay - Initial retry delay in milliseconds (default: 1000)
+ * @param {number} config.maxRetryAfter - Longest Retry-After in milliseconds worth waiting for (default: 60000)
+ * @param {string|Array<string>|Object|boolean} config.proxy - Proxy URL, list of proxy URLs to rotate
+ *   through, pool from createProxyPool, or false to ignore HTTPS_PROXY/HTTP_PROXY
+ * @param {string|Array<string>} config.noProxy - Hosts to reach without the proxy (default: NO_PROXY)
+ * @param {number} config.deadline - Milliseconds every call may take in total (default: no deadline)
+ * @returns {Object} - Client with search, searchIter, searchMany, searchInstantAnswer, searchImages, searchNews,
+ *   searchVideos, searchAndRead, readPage, clearCache, getCacheStats, getRateLimitStats
+ *   and getProxyStats
+ */
+function createClient(config = {}) {
+  const {
+    cacheSize = 100,
+    cacheTTL = DEFAULTS.cacheTTL,
+    cacheStore,
+    cacheDir,
+    concurrency = 1,
+    burst = 1
+  } = config;
+
+  const cache = cacheStore
+    || (cacheDir ? createFileStore({ directory: cacheDir, ttl: cacheTTL }) : null)
+    || createCache({ maxSize: cacheSize, ttl: cacheTTL });
+  const scheduler = config.scheduler || createHostScheduler({ concurrency, burst });
+  const robotsCache = config.robotsCache || createRobotsCache();
+
+  // A list of proxies becomes one pool, so health is tracked across all calls
+  const proxyPool = Array.isArray(config.proxy) ? createProxyPool(config.proxy) : null;
+
+  const defaults = { ...config, scheduler, robotsCache };
+  if (proxyPool) {
+    defaults.proxy = proxyPool;
+  }
+  for (const key of CONSTRUCTION_KEYS) {
+    delete defaults[key];
+  }
+
+  // Upstream lookups currently running, keyed by cache key: { promise, controller, waiters, keepAlive }
+  const inFlight = new Map();
+
+  // Counters reported by getCacheStats()
+  const cacheCounters = {
+    hits: 0,
+    misses: 0,
+    coalesced: 0,
+    staleServed: 0
+  };
+
+  /**
+   * Applies the client defaults to the options of a call
+   * A deadline, from the call or the client, is folded into the call's signal here,
+   * so it covers everything the call does.
+   * @param {Object} options - Call options
+   * @returns {Object} - Options with defaults filled in
+   */
+  function withDefaults(options = {}) {
+    return applyDeadline({ ...defaults, ...options });
+  }
+
+  /**
+   * Returns the cache store to use for a call
+   * @param {Object} options - Search options
+   * @param {Object} options.cacheStore - Cache store overriding the client's cache for this call
+   * @returns {Object} - Cache store
+   */
+  function resolveCacheStore(options) {
+    return options.cacheStore || cache;
+  }
+
+  /**
+   * Runs an upstream lookup, sharing it with identical lookups already in flight
+   * A caller whose signal aborts stops waiting without disturbing the others; the
+   * lookup itself is only cancelled once every caller has gone. Callers without a
+   * signal, such as background refreshes, keep it running to the end.
+   * @param {string} key - Cache key identifying the lookup
+   * @param {Function} load - Async function performing the lookup, called with an AbortSignal
+   * @param {AbortSignal} signal - Signal of the caller (optional)
+   * @returns {Promise<*>} - Lookup result
+   */
+  function coalesce(key, load, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError(signal));
+    }
+
+    let entry = inFlight.get(key);
+
+    if (entry) {
+      cacheCounters.coalesced++;
+    } else {
+      const controller = new AbortController();
+      entry = { controller, waiters: 0, keepAlive: false };
+      entry.promise = load(controller.signal).finally(() => {
+        if (inFlight.get(key) === entry) {
+          inFlight.delete(key);
+        }
+      });
+      inFlight.set(key, entry);
+    }
+
+    if (!signal) {
+      entry.keepAlive = true;
+      return entry.promise;
+    }
+
+    const joined = entry;
+    joined.waiters++;
+    return raceAbort(joined.promise, signal).finally(() => {
+      joined.waiters--;
+      if (signal.aborted && joined.waiters === 0 && !joined.keepAlive) {
+        if (inFlight.get(key) === joined) {
+          inFlight.delete(key);
+        }
+        joined.controller.abort(signal.reason);
+      }
+    });
+  }
+
+  /**
+   * Serves a lookup from cache when possible, otherwise loads and caches it
+   * Entries are stored as { value, freshUntil }. Once freshUntil has passed an
+   * entry is stale; with a staleWhileRevalidate window it is still served while
+   * a background refresh replaces it, otherwise it counts as a miss.
+   * @param {string} cacheKey - Cache key
+   * @param {Object|null} cache - Cache store, or null when caching is disabled
+   * @param {Object} options - Search options (cacheTTL, staleWhileRevalidate, signal)
+   * @param {Function} load - Async function performing the upstream lookup, called with an AbortSignal
+   * @returns {Promise<Object>} - { value, cached, stale }
+   */
+  async function lookupWithCache(cacheKey, cache, options, load) {
+    const {
+      cacheTTL = DEFAULTS.cacheTTL,
+      staleWhileRevalidate = 0,
+      signal
+    } = options;
+
+    const loadAndStore = async (loadSignal) => {
+      const value = await load(loadSignal);
+
+      // Empty result sets, pages without results and missing answers are not cached
+      if (cache && !isEmptyLookup(value)) {
+        await cache.set(cacheKey, {
+          value,
+          freshUntil: Date.now() + cacheTTL
+        }, cacheTTL + staleWhileRevalidate);
+      }
+
+      return value;
+    };
+
+    if (cache) {
+      const entry = await cache.get(cacheKey);
+
+      if (entry && Date.now() < entry.freshUntil) {
+        cacheCounters.hits++;
+        return { value: entry.value, cached: true, stale: false };
+      }
+
+      if (entry && staleWhileRevalidate > 0) {
+        cacheCounters.staleServed++;
+        if (!inFlight.has(cacheKey)) {
+          // A failed refresh keeps serving the stale entry until it expires
+          coalesce(cacheKey, loadAndStore).catch(() => {});
+        }
+        return { value: entry.value, cached: true, stale: true };
+      }
+
+      cacheCounters.misses++;
+    }
+
+    const value = await coalesce(cacheKey, loadAndStore, signal);
+    return { value, cached: false, stale: false };
+  }
+
+  /**
+   * Main search function
+   * @param {string|Object} query - Search query string, or a structured query such as
+   *   { terms: 'report', site: 'example.com', filetype: 'pdf' } (see compileQuery)
+   * @param {Object} options - Search options
+   * @param {number} options.max - Maximum number of results (default: 10)
+   * @param {number} options.maxPages - Maximum number of result pages to fetch (default: 10)
+   * @param {number} options.cacheTTL - Cache TTL in milliseconds (default: 300000 = 5 minutes)
+   * @param {Object} options.cacheStore - Custom cache store, e.g. from createFileStore (default: the client's cache)
+   * @param {number} options.staleWhileRevalidate - Milliseconds after expiry during which a stale
+   *   entry is served (marked stale: true) while it is refreshed in the background (default: 0)
+   * @param {string} options.userAgent - User agent string
+   * @param {number} options.rateLimit - Rate limit in milliseconds (default: 1000)
+   * @param {Object} options.scheduler - Per-host scheduler from createHostScheduler (default: the client's scheduler)
+   * @param {boolean} options.useInstantApi - Also query the Instant Answer API (default: false)
+   * @param {boolean} options.useCache - Enable caching (default: true)
+   * @param {boolean} options.checkRobots - Check robots.txt before fetching (default: true)
+   * @param {Object} options.robotsCache - Robots cache from createRobotsCache (default: the client's robots cache)
+   * @param {string} options.region - Region code, e.g. 'de-de' (default: no region)
+   * @param {string} options.safeSearch - 'strict', 'moderate' or 'off' (default: DuckDuckGo's default)
+   * @param {string} options.timeRange - 'day', 'week', 'month' or 'year' (default: any time)
+   * @param {boolean} options.fullPage - Resolve to the page object with spelling, zero-click,
+   *   related searches, ads and hasMore instead of the results array (default: false)
+   * @param {AbortSignal} options.signal - Cancels the search, including robots.txt fetches,
+   *   rate-limit waits, retries and backoff sleeps
+   * @param {number} options.deadline - Milliseconds the whole search may take (default: no deadline)
+   * @returns {Promise<Array<Object>|Object>} - Array of search result objects, the page object
+   *   when fullPage is enabled, and { results, instantAnswer } when useInstantApi is enabled
+   * @throws {QuackfetchError} - If the search fails: InvalidInputError for bad arguments, BlockedError
+   *   when DuckDuckGo throttled the request or answered with a CAPTCHA page (so an empty array always
+   *   means no results), AbortedError when the signal aborts, TimeoutError with `deadline: true`
+   *   when the deadline passes, or the transport error (see fetchHtml)
+   */
+  async function search(query, options = {}) {
+    // Structured queries are compiled first, so the cache key uses the query string
+    query = compileQuery(query);
+
+    // Validate input
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      throw new InvalidInputError('Query must be a non-empty string');
+    }
+
+    validateSearchFilters(options);
+
+    const {
+      max = DEFAULTS.max,
+      maxPages = 10,
+      useInstantApi = false,
+      useCache = true,
+      region,
+      safeSearch,
+      timeRange,
+      fullPage = false
+    } = options;
+
+    if (useInstantApi) {
+      const [found, instantAnswer] = await Promise.all([
+        search(query, { ...options, useInstantApi: false }),
+        searchInstantAnswer(query, options)
+      ]);
+      return fullPage ? { ...found, instantAnswer } : { results: found, instantAnswer };
+    }
+
+    const cache = useCache ? resolveCacheStore(options) : null;
+
+    // Generate cache key
+    const cacheKey = generateCacheKey(query, options);
+
+    const { value, cached, stale } = await lookupWithCache(cacheKey, cache, options, async (signal) => {
+      try {
+        const fetchOptions = {
+          ...requestSettings(options),
+          region,
+          safeSearch,
+          timeRange,
+          signal
+        };
+
+        // Fetch HTML from DuckDuckGo
+        let html = await searchDuckDuckGoHtml(query, fetchOptions);
+
+        // Parse pages into structured results, following "Next" until max is reached
+        const results = [];
+        const seenUrls = new Set();
+        let firstPage = null;
+        let lastPage = null;
+
+        for (let page = 1; ; page++) {
+          lastPage = parseSearchPage(html, { maxResults: max });
+          firstPage = firstPage || lastPage;
+
+          const added = appendUniqueResults(results, lastPage.results, seenUrls);
+
+          // Stop on a page with nothing new to avoid looping on repeated pages
+          if (results.length >= max || page >= maxPages || added === 0) {
+            break;
+          }
+
+          const nextForm = parseNextPageForm(html);
+          if (!nextForm) {
+            break;
+          }
+
+          html = await fetchNextSearchPage(nextForm, fetchOptions);
+        }
+
+        const hasMore = lastPage.hasMore || results.length > max;
+        results.splice(max);
+
+        // Page features come from the first page, where DuckDuckGo shows them
+        return {
+          results,
+          ads: firstPage.ads,
+          spelling: firstPage.spelling,
+          zeroClick: firstPage.zeroClick,
+          relatedSearches: firstPage.relatedSearches,
+          hasMore
+        };
+
+      } catch (error) {
+        // Re-throw with more context
+        throw wrapError(`Search failed for query "${query}"`, error);
+      }
+    });
+
+    if (!fullPage) {
+      return copyResults(value.results, cached, stale);
+    }
+
+    return {
+      ...value,
+      results: copyResults(value.results, cached, stale),
+      ads: copyResults(value.ads, cached, stale)
+    };
+  }
+
+  /**
+   * Streams web search results one at a time, fetching further pages only as they are pulled
+   * Pages go through the per-host rate limiter like any other request, and URLs already
+   * yielded are skipped with ranks continuing across pages. Breaking out of the loop stops
+   * the search without requesting another page. Results are not cached.
+   * @param {string|Object} query - Search query string or structured query (see compileQuery)
+   * @param {Object} options - Search options (same as search(), except fullPage, useInstantApi,
+   *   useCache and the cache options)
+   * @param {number} options.max - Maximum number of results (default: no limit)
+   * @param {number} options.maxPages - Maximum number of result pages to fetch (default: 10)
+   * @returns {AsyncGenerator<Object>} - Search result objects, in rank order
+   * @throws {QuackfetchError} - Same errors as search(), raised from the iteration that fetches the page
+   */
+  async function* searchIter(query, options = {}) {
+    query = compileQuery(query);
+
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      throw new InvalidInputError('Query must be a non-empty string');
+    }
+
+    validateSearchFilters(options);
+
+    const {
+      max = Infinity,
+      maxPages = 10,
+      region,
+      safeSearch,
+      timeRange,
+      signal
+    } = options;
+
+    const fetchOptions = {
+      ...requestSettings(options),
+      region,
+      safeSearch,
+      timeRange,
+      signal
+    };
+
+    /**
+     * Fetches a page, adding the query to any error
+     * @param {Function} fetchPageHtml - Async function returning the page HTML
+     * @returns {Promise<string>} - Page HTML
+     */
+    const fetchSearchPage = async (fetchPageHtml) => {
+      try {
+        return await fetchPageHtml();
+      } catch (error) {
+        throw wrapError(`Search failed for query "${query}"`, error);
+      }
+    };
+
+    const seenUrls = new Set();
+    let rank = 0;
+    let html = await fetchSearchPage(() => searchDuckDuckGoHtml(query, fetchOptions));
+
+    for (let page = 1; ; page++) {
+      let added = 0;
+
+      for (const result of parseSearchPage(html).results) {
+        if (rank >= max) {
+          return;
+        }
+        if (result.url && seenUrls.has(result.url)) {
+          continue;
+        }
+        if (result.url) {
+          seenUrls.add(result.url);
+        }
+
+        added++;
+        yield { ...result, rank: ++rank };
+      }
+
+      // Stop on a page with nothing new to avoid looping on repeated pages
+      if (rank >= max || page >= maxPages || added === 0) {
+        return;
+      }
+
+      const nextForm = parseNextPageForm(html);
+      if (!nextForm) {
+        return;
+      }
+
+      html = await fetchSearchPage(() => fetchNextSearchPage(nextForm, fetchOptions));
+    }
+  }
+
+  /**
+   * Queries the DuckDuckGo Instant Answer API
+   * @param {string} query - Search query string
+   * @param {Object} options - Search options (same as search(), except max and useInstantApi)
+   * @returns {Promise<Object|null>} - Normalized instant answer, or null if DuckDuckGo has none
+   */
+  async function searchInstantAnswer(query, options = {}) {
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      throw new InvalidInputError('Query must be a non-empty string');
+    }
+
+    const { useCache = true } = options;
+
+    const cache = useCache ? resolveCacheStore(options) : null;
+    const cacheKey = `instant:${query}`;
+
+    const { value, cached, stale } = await lookupWithCache(cacheKey, cache, options, async (signal) => {
+      try {
+        const data = await searchDuckDuckGoInstant(query, { ...requestSettings(options), signal });
+
+        return parseInstantAnswer(data);
+
+      } catch (error) {
+        throw wrapError(`Instant answer lookup failed for query "${query}"`, error);
+      }
+    });
+
+    if (!value) {
+      return null;
+    }
+
+    return {
+      ...value,
+      ...(cached && { cached: true }),
+      ...(stale && { stale: true })
+    };
+  }
+
+  /**
+   * Searches one of DuckDuckGo's vertical JSON endpoints (images, news, videos)
+   * Fetches the query's vqd token first, then follows the endpoint's `next`
+   * paths until max results are collected.
+   * @param {string} vertical - 'images', 'news' or 'videos'
+   * @param {string|Object} query - Search query string or structured query (see compileQuery)
+   * @param {Object} options - Search options (same as search())
+   * @param {Object} config - Vertical configuration
+   * @param {string} config.label - Name used in error messages, e.g. 'Image'
+   * @param {Function} config.parse - Parser turning a JSON page into results
+   * @param {Object} config.params - Extra endpoint parameters
+   * @param {Object} config.keyOptions - Vertical options that must be part of the cache key
+   * @param {Function} config.compare - Optional comparator to reorder the collected results
+   * @param {string} config.dedupeKey - Field identifying a result across pages (default: 'url')
+   * @returns {Promise<Array<Object>>} - Array of result objects
+   */
+  async function searchVertical(vertical, query, options, config) {
+    query = compileQuery(query);
+
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      throw new InvalidInputError('Query must be a non-empty string');
+    }
+
+    validateSearchFilters(options);
+
+    const {
+      max = DEFAULTS.max,
+      maxPages = 5,
+      useCache = true,
+      region,
+      safeSearch
+    } = options;
+
+    const cache = useCache ? resolveCacheStore(options) : null;
+    const cacheKey = `${vertical}:${query}:${JSON.stringify({
+      max,
+      maxPages,
+      region: region ? region.toLowerCase() : null,
+      safeSearch: safeSearch || null,
+      ...config.keyOptions
+    })}`;
+
+    const { value, cached, stale } = await lookupWithCache(cacheKey, cache, options, async (signal) => {
+      try {
+        const fetchOptions = {
+          ...requestSettings(options),
+          region,
+          safeSearch,
+          vertical,
+          params: config.params,
+          signal
+        };
+
+        const vqd = parseVqdToken(await fetchVqdPage(query, fetchOptions));
+        if (!vqd) {
+          throw new ParseError('Could not obtain a search token from DuckDuckGo');
+        }
+
+        let data = await searchDuckDuckGoVertical(vertical, query, vqd, fetchOptions);
+        const results = [];
+        const seen = new Set();
+
+        for (let page = 1; ; page++) {
+          const added = appendUniqueResults(results, config.parse(data), seen, config.dedupeKey);
+
+          if (results.length >= max || page >= maxPages || added === 0 || !data.next) {
+            break;
+          }
+
+          data = await fetchNextVerticalPage(data.next, vqd, fetchOptions);
+        }
+
+        if (config.compare) {
+          results.sort(config.compare);
+          results.forEach((result, index) => {
+            result.rank = index + 1;
+          });
+        }
+
+        results.splice(max);
+        return results;
+
+      } catch (error) {
+        throw wrapError(`${config.label} search failed for query "${query}"`, error);
+      }
+    });
+
+    return copyResults(value, cached, stale);
+  }
+
+  /**
+   * Searches DuckDuckGo images
+   * @param {string|Object} query - Search query string or structured query (see compileQuery)
+   * @param {Object} options - Search options (same as search(), plus the image filters below)
+   * @param {number} options.max - Maximum number of results (default: 10)
+   * @param {number} options.maxPages - Maximum number of result pages to fetch (default: 5)
+   * @param {string} options.size - 'small', 'medium', 'large' or 'wallpaper'
+   * @param {string} options.color - 'color', 'monochrome' or a color name such as 'red'
+   * @param {string} options.type - 'photo', 'clipart', 'gif', 'transparent' or 'line'
+   * @param {string} options.layout - 'square', 'tall' or 'wide'
+   * @returns {Promise<Array<Object>>} - Array of image result objects
+   */
+  async function searchImages(query, options = {}) {
+    validateImageFilters(options);
+
+    const { size, color, type, layout } = options;
+
+    return searchVertical('images', query, options, {
+      label: 'Image',
+      parse: parseImageResults,
+      // Several images often come from the same page, so images are told apart by their own URL
+      dedupeKey: 'image',
+      params: { f: buildImageFilterParam(options) },
+      keyOptions: {
+        size: size || null,
+        color: color || null,
+        type: type || null,
+        layout: layout || null
+      }
+    });
+  }
+
+  /**
+   * Searches DuckDuckGo news
+   * @param {string|Object} query - Search query string or structured query (see compileQuery)
+   * @param {Object} options - Search options (same as search(), plus the options below)
+   * @param {number} options.max - Maximum number of results (default: 10)
+   * @param {number} options.maxPages - Maximum number of result pages to fetch (default: 5)
+   * @param {string} options.timeRange - Only articles from the past 'day', 'week', 'month' or 'year'
+   * @param {string} options.sortBy - 'relevance' (default) or 'date' for newest first
+   * @returns {Promise<Array<Object>>} - Array of news result objects
+   */
+  async function searchNews(query, options = {}) {
+    validateNewsOptions(options);
+
+    const { timeRange, sortBy = 'relevance' } = options;
+
+    return searchVertical('news', query, options, {
+      label: 'News',
+      parse: parseNewsResults,
+      params: buildFilterParams({ timeRange }),
+      keyOptions: {
+        timeRange: timeRange || null,
+        sortBy
+      },
+      compare: sortBy === 'date' ? compareByDate : null
+    });
+  }
+
+  /**
+   * Searches DuckDuckGo videos
+   * @param {string|Object} query - Search query string or structured query (see compileQuery)
+   * @param {Object} options - Search options (same as search(), plus the options below)
+   * @param {number} options.max - Maximum number of results (default: 10)
+   * @param {number} options.maxPages - Maximum number of result pages to fetch (default: 5)
+   * @param {string} options.timeRange - Only videos from the past 'day', 'week', 'month' or 'year'
+   * @returns {Promise<Array<Object>>} - Array of video result objects
+   */
+  async function searchVideos(query, options = {}) {
+    const { timeRange } = options;
+
+    return searchVertical('videos', query, options, {
+      label: 'Video',
+      parse: parseVideoResults,
+      params: buildFilterParams({ timeRange }),
+      keyOptions: {
+        timeRange: timeRange || null
+      }
+    });
+  }
+
+  /**
+   * Fetches a landing page and converts its main content to Markdown
+   * @param {string} url - Page URL
+   * @param {Object} options - Read options
+   * @param {string} options.userAgent - User agent string
+   * @param {number} options.rateLimit - Rate limit per host in milliseconds (default: 1000)
+   * @param {Object} options.scheduler - Per-host scheduler from createHostScheduler (default: the client's scheduler)
+   * @param {boolean} options.checkRobots - Check robots.txt before fetching (default: true)
+   * @param {Object} options.robotsCache - Robots cache from createRobotsCache (default: the client's robots cache)
+   * @param {number} options.timeout - Request timeout in milliseconds (default: 10000)
+   * @param {number} options.maxPageBytes - Maximum page size to download in bytes (default: 2000000)
+   * @param {number} options.maxLength - Maximum length of the Markdown body in characters (default: 20000)
+   * @param {AbortSignal} options.signal - Cancels the read
+   * @param {number} options.deadline - Milliseconds the read may take (default: no deadline)
+   * @returns {Promise<Object>} - { url, title, byline, publishedAt, canonicalUrl, markdown, truncated }
+   */
+  async function readPage(url, options = {}) {
+    const {
+      maxPageBytes = 2000000,
+      maxLength
+    } = options;
+
+    const html = await fetchPage(url, {
+      ...requestSettings(options),
+      maxBytes: maxPageBytes,
+      signal: options.signal
+    });
+
+    const article = extractArticle(html, url);
+    const { markdown, truncated } = renderMarkdown(article, { maxLength });
+
+    return {
+      url,
+      title: article.title,
+      byline: article.byline,
+      publishedAt: article.publishedAt,
+      canonicalUrl: article.canonicalUrl,
+      markdown,
+      truncated
+    };
+  }
+
+  /**
+   * Searches DuckDuckGo and reads the landing page of every result
+   * Pages that fail to load are reported on their result instead of failing the call;
+   * an aborted signal or a passed deadline fails the whole call.
+   * @param {string|Object} query - Search query string or structured query (see compileQuery)
+   * @param {Object} options - Search options (same as search()) plus the readPage options
+   * @param {number} options.readConcurrency - Maximum number of pages read at once (default: 3)
+   * @returns {Promise<Array<Object>>} - Search results, each with `page` (from readPage, or null),
+   *   `error` (message, or null) and `errorCode` (code of the error class, or null)
+   */
+  async function searchAndRead(query, options = {}) {
+    const { readConcurrency = 3 } = options;
+    validateConcurrency('readConcurrency', readConcurrency);
+
+    const results = await search(query, { ...options, fullPage: false, useInstantApi: false });
+
+    return mapWithConcurrency(results, readConcurrency, async (result) => {
+      try {
+        const page = await readPage(result.url, options);
+        return { ...result, page, error: null, errorCode: null };
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          throw error;
+        }
+        return { ...result, page: null, error: error.message, errorCode: error.code || null };
+      }
+    });
+  }
+
+  /**
+   * Runs web searches for many queries with bounded concurrency
+   * A failing query is reported on its entry instead of failing the call; an aborted
+   * signal or a passed deadline fails the whole call. Queries that succeeded in an
+   * earlier run, given as resumeFrom, are not searched again.
+   * @param {Array<string|Object>} queries - Query strings or structured queries (see compileQuery)
+   * @param {Object} options - Search options (same as search()) plus the options below
+   * @param {number} options.queryConcurrency - Maximum number of queries searched at once (default: 3)
+   * @param {Function} options.onProgress - Called with (entry, { completed, failed, total, skipped })
+   *   after each searched query, in completion order
+   * @param {Array<Object>} options.resumeFrom - Entries from an earlier run; queries whose entry
+   *   has results are reused (marked resumed: true) instead of searched
+   * @returns {Promise<Array<Object>>} - One entry per query, in the order of queries:
+   *   { query, index, results (or null), error (message, or null), errorCode (or null) }
+   */
+  async function searchMany(queries, options = {}) {
+    if (!Array.isArray(queries)) {
+      throw new InvalidInputError('Queries must be an array');
+    }
+
+    const {
+      queryConcurrency = 3,
+      onProgress,
+      resumeFrom = [],
+      signal
+    } = options;
+    validateConcurrency('queryConcurrency', queryConcurrency);
+
+    const searchOptions = { ...options, fullPage: false, useInstantApi: false };
+
+    const finished = new Map();
+    for (const entry of resumeFrom) {
+      if (entry && !entry.error && Array.isArray(entry.results)) {
+        finished.set(batchKey(entry.query), entry);
+      }
+    }
+
+    const entries = new Array(queries.length);
+    const pending = [];
+    queries.forEach((query, index) => {
+      const previous = finished.get(batchKey(query));
+      if (previous) {
+        entries[index] = { ...previous, query, index, resumed: true };
+      } else {
+        pending.push(index);
+      }
+    });
+
+    const progress = {
+      completed: 0,
+      failed: 0,
+      total: pending.length,
+      skipped: queries.length - pending.length
+    };
+
+    await mapWithConcurrency(pending, queryConcurrency, async (index) => {
+      const query = queries[index];
+      let entry;
+
+      try {
+        const results = await search(query, searchOptions);
+        entry = { query, index, results, error: null, errorCode: null };
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw error;
+        }
+        entry = { query, index, results: null, error: error.message, errorCode: error.code || null };
+        progress.failed++;
+      }
+
+      progress.completed++;
+      entries[index] = entry;
+      if (onProgress) {
+        onProgress(entry, { ...progress });
+      }
+    });
+
+    return entries;
+  }
+
+  return {
+    search: (query, options) => search(query, withDefaults(options)),
+    searchMany: (queries, options) => searchMany(queries, withDefaults(options)),
+    searchIter: (query, options) => searchIter(query, withDefaults(options)),
+    searchInstantAnswer: (query, options) => searchInstantAnswer(query, withDefaults(options)),
+    searchImages: (query, options) => searchImages(query, withDefaults(options)),
+    searchNews: (query, options) => searchNews(query, withDefaults(options)),
+    searchVideos: (query, options) => searchVideos(query, withDefaults(options)),
+    searchAndRead: (query, options) => searchAndRead(query, withDefaults(options)),
+    readPage: (url, options) => readPage(url, withDefaults(options)),
+
+    /**
+     * Clears the client's cache and resets its hit/miss counters
+     * @returns {Promise<void>|void} - Resolves once a persistent store is cleared
+     */
+    clearCache() {
+      for (const counter of Object.keys(cacheCounters)) {
+        cacheCounters[counter] = 0;
+      }
+      return cache.clear();
+    },
+
+    /**
+     * Gets cache statistics
+     * The hits, misses, coalesced and staleServed counters cover every lookup,
+     * including those made with a per-call cacheStore. Stores with asynchronous
+     * statistics, such as the file-system store, make this return a promise.
+     * @returns {Object|Promise<Object>} - Store stats merged with the counters
+     */
+    getCacheStats() {
+      const stats = cache.getStats();
+      if (stats && typeof stats.then === 'function') {
+        return stats.then(resolved => ({ ...resolved, ...cacheCounters }));
+      }
+      return { ...stats, ...cacheCounters };
+    },
+
+    /**
+     * Gets queue statistics from the client's per-host scheduler
+     * @param {string} host - Hostname (optional, defaults to all hosts)
+     * @returns {Object|null} - Stats for the host, an object keyed by host, or null for an unknown host
+     */
+    getRateLimitStats(host) {
+      return scheduler.getStats(host);
+    },
+
+    /**
+     * Gets per-proxy health statistics for the client's proxy list
+     * @returns {Array<Object>|null} - Stats per proxy (see createProxyPool), or null
+     *   when the client was not given a list of proxies or a pool
+     */
+    getProxyStats() {
+      const pool = proxyPool || (config.proxy && typeof config.proxy.getStats === 'function' ? config.proxy : null);
+      return pool ? pool.getStats() : null;
+    }
+  };
+}
+
+module.exports = {
+  createClient
+};
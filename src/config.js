@@ -0,0 +1,238 @@
+/**
+ * Configuration layer: built-in defaults, .quackfetchrc files and QUACKFETCH_* environment variables
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InvalidInputError } = require('./errors');
+
+const CONFIG_FILE = '.quackfetchrc';
+
+/**
+ * Options that can be configured outside of code
+ * `env` lists the environment variables of an option, the first one set wins. Values from
+ * the environment are strings and are converted according to `type`; 'list' values are
+ * comma-separated there and may be arrays in a config file.
+ */
+const CONFIG_OPTIONS = {
+  userAgent: { type: 'string', default: 'quackfetch/0.1 (+https://github.com/your-repo/quackfetch)',
+    env: ['QUACKFETCH_USER_AGENT'] },
+  rateLimit: { type: 'integer', min: 0, default: 1000, env: ['QUACKFETCH_RATE_LIMIT'] },
+  cacheTTL: { type: 'integer', min: 0, default: 300000, env: ['QUACKFETCH_CACHE_TTL'] },
+  max: { type: 'integer', min: 1, default: 10, env: ['QUACKFETCH_MAX'] },
+  cacheDir: { type: 'string', env: ['QUACKFETCH_CACHE_DIR'] },
+  timeout: { type: 'integer', min: 1, default: 10000, env: ['QUACKFETCH_TIMEOUT'] },
+  retries: { type: 'integer', min: 0, default: 2, env: ['QUACKFETCH_RETRIES'] },
+  deadline: { type: 'integer', min: 1, env: ['QUACKFETCH_DEADLINE'] },
+  region: { type: 'string', env: ['QUACKFETCH_REGION'] },
+  safeSearch: { type: 'choice', choices: ['strict', 'moderate', 'off'], env: ['QUACKFETCH_SAFE_SEARCH'] },
+  proxy: { type: 'list', env: ['QUACKFETCH_PROXY'] },
+  noProxy: { type: 'string', env: ['QUACKFETCH_NO_PROXY'] },
+  port: { type: 'integer', min: 0, max: 65535, default: 3000, env: ['QUACKFETCH_PORT', 'PORT'] },
+  host: { type: 'string', env: ['QUACKFETCH_HOST'] },
+  apiKeys: { type: 'list', env: ['QUACKFETCH_API_KEYS'] },
+  quota: { type: 'integer', min: 0, default: 60, env: ['QUACKFETCH_QUOTA'] },
+  quotaWindow: { type: 'integer', min: 1, default: 60000, env: ['QUACKFETCH_QUOTA_WINDOW'] },
+  corsOrigins: { type: 'list', env: ['QUACKFETCH_CORS_ORIGINS'] },
+  shutdownTimeout: { type: 'integer', min: 0, default: 10000, env: ['QUACKFETCH_SHUTDOWN_TIMEOUT'] }
+};
+
+// Options of the HTTP server rather than of searches
+const SERVER_OPTIONS = ['port', 'host', 'apiKeys', 'quota', 'quotaWindow', 'corsOrigins', 'shutdownTimeout'];
+
+// Built-in defaults, the lowest layer of the configuration
+const DEFAULTS = Object.freeze(Object.fromEntries(Object.entries(CONFIG_OPTIONS)
+  .filter(([, option]) => option.default !== undefined)
+  .map(([name, option]) => [name, option.default])));
+
+/**
+ * Validates a configuration value and converts strings from the environment
+ * @param {string} name - Option name
+ * @param {*} value - Raw value
+ * @param {string} source - Where the value came from, for error messages
+ * @returns {*} - Validated value
+ * @throws {InvalidInputError} - If the option is unknown or the value invalid
+ */
+function parseConfigValue(name, value, source) {
+  const option = CONFIG_OPTIONS[name];
+  if (!option) {
+    throw new InvalidInputError(`Unknown config option "${name}" in ${source}`);
+  }
+
+  const fromEnv = typeof value === 'string';
+  const fail = (expected) => {
+    throw new InvalidInputError(`Config option "${name}" from ${source} must be ${expected}, got ${JSON.stringify(value)}`);
+  };
+
+  switch (option.type) {
+    case 'integer': {
+      const number = fromEnv && /^\d+$/.test(value.trim()) ? Number(value) : value;
+      const { min = 0, max } = option;
+      if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+        fail(max !== undefined ? `a whole number between ${min} and ${max}` : `a whole number of at least ${min}`);
+      }
+      return number;
+    }
+    case 'choice':
+      if (!option.choices.includes(value)) {
+        fail(`one of ${option.choices.join(', ')}`);
+      }
+      return value;
+    case 'list': {
+      const list = fromEnv ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+      if (!Array.isArray(list) || list.length === 0 || !list.every(item => typeof item === 'string' && item)) {
+        fail('a non-empty string or list of strings');
+      }
+      // One entry is a single value, so a single proxy is not turned into a pool of one
+      return list.length === 1 ? list[0] : list;
+    }
+    default:
+      if (typeof value !== 'string' || !value) {
+        fail('a non-empty string');
+      }
+      return value;
+  }
+}
+
+/**
+ * Finds the nearest .quackfetchrc in a directory or its parents
+ * @param {string} directory - Directory to start from
+ * @returns {string|null} - File path, or null if there is none
+ */
+function findConfigFile(directory) {
+  let current = path.resolve(directory);
+
+  for (;;) {
+    const file = path.join(current, CONFIG_FILE);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Reads and validates a JSON config file
+ * @param {string} file - File path
+ * @returns {Object} - Validated values
+ * @throws {InvalidInputError} - If the file is not a JSON object or holds invalid values
+ */
+function readConfigFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new InvalidInputError(`Cannot read config file ${file}: ${error.message}`, { cause: error });
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new InvalidInputError(`Config file ${file} must contain a JSON object`);
+  }
+
+  const values = {};
+  for (const [name, value] of Object.entries(data)) {
+    if (!CONFIG_OPTIONS[name]) {
+      throw new InvalidInputError(`Unknown config option "${name}" in ${file}`);
+    }
+    // null resets an option to its built-in default, e.g. to undo a setting of ~/.quackfetchrc
+    values[name] = value === null ? null : parseConfigValue(name, value, file);
+  }
+  return values;
+}
+
+/**
+ * Loads the effective configuration
+ * Layers are merged in this order, later ones winning:
+ * 1. built-in defaults
+ * 2. ~/.quackfetchrc
+ * 3. the nearest .quackfetchrc in the working directory or its parents
+ * 4. QUACKFETCH_* environment variables
+ * 5. explicit options (`overrides`)
+ * @param {Object} options - Load options
+ * @param {Object} options.overrides - Explicit values, e.g. from CLI flags; undefined values are ignored
+ *   and keys that are not config options are left out
+ * @param {string} options.cwd - Directory to look for a project config file in (default: process.cwd())
+ * @param {string} options.home - Home directory (default: os.homedir())
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @returns {Object} - { values, sources, files }: the merged values, where each value came from
+ *   ('default', a file path, a variable name or 'option') and the config files that were read
+ * @throws {InvalidInputError} - If a config file or variable holds an invalid value
+ */
+function loadConfig(options = {}) {
+  const {
+    overrides = {},
+    cwd = process.cwd(),
+    home = os.homedir(),
+    env = process.env
+  } = options;
+
+  const values = { ...DEFAULTS };
+  const sources = Object.fromEntries(Object.keys(DEFAULTS).map(name => [name, 'default']));
+  const files = [];
+
+  const homeFile = home ? path.join(home, CONFIG_FILE) : null;
+  const projectFile = findConfigFile(cwd);
+
+  for (const file of [homeFile, projectFile]) {
+    if (file && !files.includes(file) && fs.existsSync(file)) {
+      files.push(file);
+      for (const [name, value] of Object.entries(readConfigFile(file))) {
+        if (value === null) {
+          delete values[name];
+          delete sources[name];
+          if (name in DEFAULTS) {
+            values[name] = DEFAULTS[name];
+            sources[name] = 'default';
+          }
+        } else {
+          values[name] = value;
+          sources[name] = file;
+        }
+      }
+    }
+  }
+
+  for (const [name, option] of Object.entries(CONFIG_OPTIONS)) {
+    const variable = option.env.find(key => env[key] !== undefined && env[key] !== '');
+    if (variable) {
+      values[name] = parseConfigValue(name, env[variable], variable);
+      sources[name] = variable;
+    }
+  }
+
+  for (const [name, value] of Object.entries(overrides)) {
+    if (CONFIG_OPTIONS[name] && value !== undefined && value !== null) {
+      values[name] = parseConfigValue(name, value, 'options');
+      sources[name] = 'option';
+    }
+  }
+
+  return { values, sources, files };
+}
+
+/**
+ * Picks the values of a configuration that apply to createClient()
+ * @param {Object} values - Configuration values, e.g. from loadConfig()
+ * @returns {Object} - Client configuration without the server options
+ */
+function clientConfig(values) {
+  const config = { ...values };
+  for (const name of SERVER_OPTIONS) {
+    delete config[name];
+  }
+  return config;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  CONFIG_OPTIONS,
+  DEFAULTS,
+  loadConfig,
+  clientConfig
+};
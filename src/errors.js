@@ -0,0 +1,210 @@
+/**
+ * Error classes with stable machine-readable codes, and helpers for aborted operations
+ */
+
+/**
+ * Base class of every error raised by quackfetch
+ * Details such as url, status or attempts become properties of the error;
+ * `cause` is passed on to Error so the original failure stays attached.
+ */
+class QuackfetchError extends Error {
+  static code = 'QUACKFETCH_ERROR';
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Extra properties, e.g. { url, attempts, cause }
+   */
+  constructor(message, details = {}) {
+    const { cause, ...fields } = details;
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    Object.assign(this, fields);
+  }
+
+  /**
+   * Creates a copy of the error with context in front of its message
+   * The copy has the same class, code, details and cause.
+   * @param {string} context - Description of the failed operation, e.g. 'Search failed for query "x"'
+   * @returns {QuackfetchError} - New error
+   */
+  withContext(context) {
+    const fields = { ...this };
+    delete fields.name;
+    delete fields.code;
+    return new this.constructor(`${context}: ${this.message}`, { ...fields, cause: this.cause });
+  }
+}
+
+/**
+ * An argument or option is invalid; fixing the call is the only remedy
+ */
+class InvalidInputError extends QuackfetchError {
+  static code = 'INVALID_INPUT';
+}
+
+/**
+ * A request did not complete within its timeout, or a call within its deadline
+ * Details: url, timeout (milliseconds), attempts; deadline is true when the call's deadline passed
+ */
+class TimeoutError extends QuackfetchError {
+  static code = 'TIMEOUT';
+}
+
+/**
+ * The caller cancelled the operation through its AbortSignal
+ * Details: url (when a request was running), attempts
+ */
+class AbortedError extends QuackfetchError {
+  static code = 'ABORTED';
+}
+
+/**
+ * robots.txt of the host disallows the requested path
+ * Details: url, rule (the deciding rule, or null when robots.txt was unreachable)
+ */
+class RobotsDisallowedError extends QuackfetchError {
+  static code = 'ROBOTS_DISALLOWED';
+}
+
+/**
+ * The server answered with an unsuccessful HTTP status
+ * Details: url, status, statusText, retryAfter (milliseconds or null), attempts
+ */
+class HttpStatusError extends QuackfetchError {
+  static code = 'HTTP_STATUS';
+}
+
+/**
+ * DuckDuckGo throttled the client or served a CAPTCHA page instead of results
+ * Details: url, reason ('throttled', 'anomaly' or 'captcha'), status, retryAfter, attempts.
+ * `blocked` is always true.
+ */
+class BlockedError extends QuackfetchError {
+  static code = 'BLOCKED';
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Block details
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, blocked: true });
+  }
+}
+
+/**
+ * The connection failed before a response arrived, e.g. DNS, TLS or proxy errors
+ * Details: url, attempts
+ */
+class NetworkError extends QuackfetchError {
+  static code = 'NETWORK_ERROR';
+}
+
+/**
+ * A response body was larger than the configured maxBytes
+ * Details: url, maxBytes
+ */
+class ResponseTooLargeError extends QuackfetchError {
+  static code = 'RESPONSE_TOO_LARGE';
+}
+
+/**
+ * A page was served as something other than HTML, e.g. a PDF or an image
+ * Details: url, contentType
+ */
+class UnsupportedContentTypeError extends QuackfetchError {
+  static code = 'UNSUPPORTED_CONTENT_TYPE';
+}
+
+/**
+ * A response could not be understood, e.g. invalid JSON or a page without a search token
+ * Details: url
+ */
+class ParseError extends QuackfetchError {
+  static code = 'PARSE_ERROR';
+}
+
+/**
+ * Creates the error for an operation stopped by an aborted signal
+ * A signal from AbortSignal.timeout(), as used for deadlines, yields a TimeoutError;
+ * any other abort yields an AbortedError. The signal's reason becomes the cause.
+ * @param {AbortSignal} signal - Aborted signal
+ * @param {Object} details - Extra properties, e.g. { url, attempts }
+ * @returns {QuackfetchError} - TimeoutError or AbortedError
+ */
+function createAbortError(signal, details = {}) {
+  const reason = signal.reason;
+
+  if (reason && reason.name === 'TimeoutError') {
+    return new TimeoutError('Deadline exceeded', { ...details, deadline: true, cause: reason });
+  }
+
+  return new AbortedError('Operation was aborted', { ...details, cause: reason });
+}
+
+/**
+ * Settles with a promise, or rejects early once a signal aborts
+ * The promise itself keeps running; use this to stop waiting for work shared with other callers.
+ * @param {Promise<*>} promise - Promise to wait for
+ * @param {AbortSignal} signal - Signal of the caller (optional)
+ * @returns {Promise<*>} - Result of the promise
+ */
+function raceAbort(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    // Nobody waits for the promise any more; keep its failure from going unhandled
+    promise.catch(() => {});
+    return Promise.reject(createAbortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Combines signals into one that aborts as soon as any of them does
+ * @param {Array<AbortSignal>} signals - Signals; missing entries are ignored
+ * @returns {AbortSignal|undefined} - Combined signal, or undefined when no signal was given
+ */
+function anySignal(signals) {
+  const active = signals.filter(Boolean);
+  if (active.length <= 1) {
+    return active[0];
+  }
+  if (typeof AbortSignal.any === 'function') {
+    return AbortSignal.any(active);
+  }
+
+  // Node.js before 20.3 has no AbortSignal.any
+  const controller = new AbortController();
+  for (const signal of active) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+module.exports = {
+  QuackfetchError,
+  InvalidInputError,
+  TimeoutError,
+  AbortedError,
+  RobotsDisallowedError,
+  HttpStatusError,
+  BlockedError,
+  NetworkError,
+  ResponseTooLargeError,
+  UnsupportedContentTypeError,
+  ParseError,
+  createAbortError,
+  raceAbort,
+  anySignal
+};
@@ -2,53 +2,246 @@
  * HTTP fetcher with rate limiting, retry logic, and robots.txt checking
  */
 
-const { fetchRobotsTxt, checkRobotsTxt } = require('./utils');
+const { createRobotsCache, getCrawlDelay } = require('./robots');
+const { createHostScheduler } = require('./scheduler');
+const { proxyFetch } = require('./proxy');
+const { detectBlockPage } = require('./parser');
+const { DEFAULTS } = require('./config');
+const {
+  QuackfetchError,
+  InvalidInputError,
+  TimeoutError,
+  RobotsDisallowedError,
+  HttpStatusError,
+  BlockedError,
+  NetworkError,
+  ResponseTooLargeError,
+  UnsupportedContentTypeError,
+  ParseError,
+  createAbortError,
+  anySignal
+} = require('./errors');
 
-// Per-host rate limit tracking
-const rateLimitMap = new Map();
+// Shared per-host robots.txt cache used when no robotsCache option is given
+const defaultRobotsCache = createRobotsCache();
+
+// Shared per-host request scheduler used when no scheduler option is given
+const defaultScheduler = createHostScheduler();
 
 /**
  * Sleeps for a specified number of milliseconds
  * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} signal - Ends the sleep early with an abort error (optional)
  * @returns {Promise<void>}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(createAbortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
 }
 
 /**
- * Gets the rate limit tracker for a specific host
- * @param {string} host - Hostname
- * @param {number} rateLimitMs - Minimum milliseconds between requests
- * @returns {Object} - Rate limit tracker
+ * Folds a `deadline` option into the `signal` option
+ * The deadline starts counting now, so apply this once at the entry point of a call
+ * and pass the returned options on.
+ * @param {Object} options - Options with optional signal and deadline (milliseconds)
+ * @returns {Object} - Copy of the options whose signal also aborts when the deadline passes
  */
-function getRateLimitTracker(host, rateLimitMs) {
-  if (!rateLimitMap.has(host)) {
-    rateLimitMap.set(host, {
-      lastRequest: 0,
-      rateLimitMs: rateLimitMs
-    });
+function applyDeadline(options = {}) {
+  const { deadline, ...rest } = options;
+
+  if (!deadline) {
+    return rest;
   }
-  return rateLimitMap.get(host);
+
+  return { ...rest, signal: anySignal([options.signal, AbortSignal.timeout(deadline)]) };
+}
+
+/**
+ * Parses a Retry-After header value
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, or null if the header is missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\s*\d+\s*$/.test(value)) {
+    return Number(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/**
+ * Computes the delay before a retry: exponential backoff with jitter
+ * The delay is between half and all of retryDelay * 2^attempt, so clients
+ * that failed together do not retry in lockstep.
+ * @param {number} retryDelay - Initial retry delay in milliseconds
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(retryDelay, attempt) {
+  const delay = retryDelay * Math.pow(2, attempt);
+  return delay / 2 + Math.random() * (delay / 2);
 }
 
 /**
  * Enforces rate limiting for a given host
+ * Waits for the host's turn in the scheduler queue without holding a slot.
  * @param {string} host - Hostname
  * @param {number} rateLimitMs - Minimum milliseconds between requests
+ * @param {Object} scheduler - Scheduler from createHostScheduler (default: shared scheduler)
+ * @param {AbortSignal} signal - Stops waiting and leaves the queue when aborted (optional)
  * @returns {Promise<void>}
  */
-async function enforceRateLimit(host, rateLimitMs) {
-  const tracker = getRateLimitTracker(host, rateLimitMs);
-  const now = Date.now();
-  const timeSinceLastRequest = now - tracker.lastRequest;
+async function enforceRateLimit(host, rateLimitMs, scheduler = defaultScheduler, signal) {
+  await scheduler.run(host, async () => {}, { intervalMs: rateLimitMs, signal });
+}
+
+/**
+ * Runs a request through the per-host scheduler
+ * The configured rate limit is raised to the host's robots.txt Crawl-delay
+ * when that is stricter.
+ * @param {string} url - URL that will be requested
+ * @param {Object} options - Request options
+ * @param {number} options.rateLimitMs - Minimum milliseconds between requests (default: 1000)
+ * @param {string} options.userAgent - User agent string
+ * @param {boolean} options.checkRobots - Whether to check robots.txt (default: true)
+ * @param {Object} options.robotsCache - Robots cache (default: shared cache)
+ * @param {Object} options.scheduler - Scheduler (default: shared scheduler)
+ * @param {string|Array<string>|Object|boolean} options.proxy - Proxy for the robots.txt request (see resolveProxy)
+ * @param {string|Array<string>} options.noProxy - Hosts to reach without the proxy
+ * @param {AbortSignal} options.signal - Stops waiting for robots.txt or a queue slot when aborted
+ * @param {Function} task - Async function performing the request
+ * @returns {Promise<*>} - Result of the task
+ */
+async function scheduleRequest(url, options, task) {
+  const {
+    rateLimitMs = DEFAULTS.rateLimit,
+    userAgent = DEFAULTS.userAgent,
+    checkRobots = true,
+    robotsCache = defaultRobotsCache,
+    scheduler = defaultScheduler,
+    proxy,
+    noProxy,
+    signal
+  } = options;
+
+  const urlObj = new URL(url);
+  let intervalMs = rateLimitMs;
+
+  if (checkRobots) {
+    const robots = await robotsCache.get(urlObj.origin, userAgent, { proxy, noProxy, signal });
+    const crawlDelay = getCrawlDelay(robots, userAgent);
+    if (crawlDelay !== null) {
+      intervalMs = Math.max(intervalMs, crawlDelay * 1000);
+    }
+  }
+
+  return scheduler.run(urlObj.hostname, task, { intervalMs, signal });
+}
+
+/**
+ * Finds the character encoding of an HTML document
+ * The charset parameter of Content-Type wins; otherwise a <meta charset> or
+ * <meta http-equiv="Content-Type"> near the start of the document is used.
+ * @param {Buffer} bytes - Body bytes
+ * @param {string|null} contentType - Content-Type header
+ * @returns {string|null} - Encoding label, or null if none is declared
+ */
+function detectCharset(bytes, contentType) {
+  const header = /;\s*charset\s*=\s*"?([\w.:-]+)/i.exec(contentType || '');
+  if (header) {
+    return header[1];
+  }
+
+  // Encoding declarations must appear within the first 1024 bytes, which are ASCII-compatible
+  const head = bytes.subarray(0, 1024).toString('latin1');
+  const meta = /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head);
+  return meta ? meta[1] : null;
+}
+
+/**
+ * Decodes a body in its declared character encoding, falling back to UTF-8
+ * @param {Buffer} bytes - Body bytes
+ * @param {string|null} contentType - Content-Type header
+ * @returns {string} - Body text
+ */
+function decodeBody(bytes, contentType) {
+  const charset = detectCharset(bytes, contentType);
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset || 'utf-8');
+  } catch (error) {
+    // Unknown encoding label
+    decoder = new TextDecoder('utf-8');
+  }
+  return decoder.decode(bytes);
+}
+
+/**
+ * Reads a response body as text, giving up once it grows beyond maxBytes
+ * The body is decoded in the encoding named by Content-Type or a <meta> tag (default: UTF-8).
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Maximum body size in bytes (0 for no limit)
+ * @returns {Promise<string>} - Body text
+ * @throws {ResponseTooLargeError} - If the body exceeds maxBytes
+ */
+async function readBody(response, maxBytes) {
+  const contentType = response.headers.get('content-type');
 
-  if (timeSinceLastRequest < rateLimitMs) {
-    const waitTime = rateLimitMs - timeSinceLastRequest;
-    await sleep(waitTime);
+  if (!maxBytes || !response.body) {
+    return decodeBody(Buffer.from(await response.arrayBuffer()), contentType);
   }
 
-  tracker.lastRequest = Date.now();
+  const tooLarge = () => new ResponseTooLargeError(`Response exceeds the size limit of ${maxBytes} bytes`, {
+    url: response.url,
+    maxBytes
+  });
+
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    await response.body.cancel();
+    throw tooLarge();
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+
+  return decodeBody(Buffer.concat(chunks), contentType);
 }
 
 /**
@@ -58,74 +251,267 @@ async function enforceRateLimit(host, rateLimitMs) {
  * @param {string} options.userAgent - User agent string
  * @param {number} options.timeout - Request timeout in milliseconds (default: 10000)
  * @param {number} options.retries - Number of retry attempts (default: 2)
- * @param {number} options.retryDelay - Initial retry delay in milliseconds (default: 1000)
+ * @param {number} options.retryDelay - Initial retry delay in milliseconds, doubled per attempt
+ *   with jitter (default: 1000)
+ * @param {number} options.maxRetryAfter - Longest Retry-After in milliseconds worth waiting for;
+ *   a longer one ends the retries at once (default: 60000)
+ * @param {Array<number>} options.blockStatuses - Response statuses that mean the client is being
+ *   throttled (default: [202, 403, 429])
+ * @param {Function} options.detectBlock - Called with the body of successful responses; returns
+ *   a reason such as 'captcha' when the body is a block page, or null
  * @param {boolean} options.checkRobots - Whether to check robots.txt (default: true)
+ * @param {Object} options.robotsCache - Robots cache from createRobotsCache (default: shared cache)
+ * @param {string} options.accept - Accept header value (default: HTML content types)
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {string} options.body - URL-encoded form body, sent with POST requests
+ * @param {Object} options.headers - Extra request headers
+ * @param {number} options.maxBytes - Maximum response size in bytes (default: no limit)
+ * @param {Array<string>} options.contentTypes - Media types the response may have; a response
+ *   declaring another one is not read (default: any)
+ * @param {string|Array<string>|Object|boolean} options.proxy - Proxy URL, list of proxy URLs or proxy pool;
+ *   a list or pool moves to the next proxy on each retry (default: HTTPS_PROXY/HTTP_PROXY)
+ * @param {string|Array<string>} options.noProxy - Hosts to reach without the proxy (default: NO_PROXY)
+ * @param {AbortSignal} options.signal - Cancels the request, including retries and backoff sleeps
+ * @param {number} options.deadline - Milliseconds the whole call may take, across all attempts
  * @returns {Promise<string>} - HTML content
- * @throws {Error} - If fetch fails after retries
+ * @throws {QuackfetchError} - RobotsDisallowedError, TimeoutError, ResponseTooLargeError or
+ *   UnsupportedContentTypeError without retrying; AbortedError, or TimeoutError with `deadline: true`, once the signal or deadline
+ *   ends the call; otherwise the error of the last attempt (HttpStatusError, BlockedError or
+ *   NetworkError) once retries are exhausted, with the number of attempts made
  */
 async function fetchHtml(url, options = {}) {
   const {
-    userAgent = 'quackfetch/0.1 (+https://github.com/your-repo/quackfetch)',
-    timeout = 10000,
-    retries = 2,
+    userAgent = DEFAULTS.userAgent,
+    timeout = DEFAULTS.timeout,
+    retries = DEFAULTS.retries,
     retryDelay = 1000,
-    checkRobots = true
-  } = options;
+    maxRetryAfter = 60000,
+    blockStatuses = [202, 403, 429],
+    detectBlock,
+    checkRobots = true,
+    robotsCache = defaultRobotsCache,
+    accept = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    method = 'GET',
+    body,
+    headers: extraHeaders = {},
+    maxBytes = 0,
+    contentTypes,
+    proxy,
+    noProxy,
+    signal
+  } = applyDeadline(options);
 
   const urlObj = new URL(url);
-  const baseUrl = `${urlObj.protocol}//${urlObj.hostname}`;
   const path = urlObj.pathname + urlObj.search;
 
   // Check robots.txt if enabled
   if (checkRobots) {
-    const robotsTxt = await fetchRobotsTxt(baseUrl, userAgent);
-    if (robotsTxt && !checkRobotsTxt(robotsTxt, userAgent, path)) {
-      throw new Error(`Access to ${path} is disallowed by robots.txt`);
+    const verdict = await robotsCache.evaluate(url, userAgent, { proxy, noProxy, signal });
+    if (!verdict.allowed) {
+      throw new RobotsDisallowedError(`Access to ${path} is disallowed by robots.txt`, {
+        url,
+        rule: verdict.rule,
+        reason: verdict.reason
+      });
     }
   }
 
   let lastError;
-  
+  let attempts = 0;
+
   for (let attempt = 0; attempt <= retries; attempt++) {
+    attempts++;
+    let timeoutId;
     try {
+      if (signal && signal.aborted) {
+        throw createAbortError(signal);
+      }
+
       const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.9'
-        },
-        signal: controller.signal
-      });
+      timeoutId = setTimeout(() => controller.abort(), timeout);
 
-      clearTimeout(timeoutId);
+      const headers = {
+        'User-Agent': userAgent,
+        'Accept': accept,
+        'Accept-Language': 'en-US,en;q=0.9',
+        ...extraHeaders
+      };
+      if (body !== undefined) {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      }
+
+      let response;
+      try {
+        response = await proxyFetch(url, {
+          method,
+          headers,
+          body,
+          signal: anySignal([controller.signal, signal])
+        }, { proxy, noProxy });
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw createAbortError(signal);
+        }
+        if (controller.signal.aborted) {
+          throw new TimeoutError(`Request to ${url} timed out after ${timeout} ms`, {
+            url,
+            timeout,
+            attempts,
+            cause: error
+          });
+        }
+        throw new NetworkError(`Request to ${url} failed: ${error.cause ? error.cause.message : error.message}`, {
+          url,
+          cause: error
+        });
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+
+      if (blockStatuses.includes(response.status)) {
+        if (response.body) {
+          await response.body.cancel();
+        }
+        throw new BlockedError(`HTTP ${response.status}: ${response.statusText}`, {
+          url,
+          reason: 'throttled',
+          status: response.status,
+          retryAfter
+        });
+      }
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw new HttpStatusError(`HTTP ${response.status}: ${response.statusText}`, {
+          url,
+          status: response.status,
+          statusText: response.statusText,
+          retryAfter
+        });
+      }
+
+      const contentType = response.headers.get('content-type');
+      const mediaType = contentType && contentType.split(';')[0].trim().toLowerCase();
+      if (contentTypes && mediaType && !contentTypes.includes(mediaType)) {
+        if (response.body) {
+          await response.body.cancel();
+        }
+        throw new UnsupportedContentTypeError(`Expected HTML, got ${mediaType}`, {
+          url,
+          contentType
+        });
+      }
+
+      const html = await readBody(response, maxBytes);
+
+      const reason = detectBlock ? detectBlock(html) : null;
+      if (reason) {
+        throw new BlockedError(`Served a ${reason} page instead of content`, {
+          url,
+          reason,
+          status: response.status,
+          retryAfter
+        });
       }
 
-      const html = await response.text();
       return html;
 
-    } catch (error) {
+    } catch (caught) {
+      // The caller gave up: stop at once, whatever the attempt was doing
+      if (signal && signal.aborted) {
+        throw createAbortError(signal, { url, attempts });
+      }
+
+      // Failures while reading the body arrive as plain errors
+      const error = caught instanceof QuackfetchError
+        ? caught
+        : new NetworkError(`Request to ${url} failed: ${caught.message}`, { url, cause: caught });
       lastError = error;
-      
-      // Don't retry on abort (timeout) or robots.txt errors
-      if (error.name === 'AbortError' || error.message.includes('robots.txt')) {
+
+      // Retrying cannot help after a timeout or with an oversized or non-HTML response
+      if (error instanceof TimeoutError || error instanceof ResponseTooLargeError ||
+        error instanceof UnsupportedContentTypeError) {
         throw error;
       }
 
-      // Exponential backoff for retries
+      // A server asking for a longer pause than we are willing to wait ends the retries
+      if (error.retryAfter > maxRetryAfter) {
+        break;
+      }
+
+      // Honor Retry-After, otherwise back off exponentially with jitter
       if (attempt < retries) {
-        const delay = retryDelay * Math.pow(2, attempt);
-        await sleep(delay);
+        const delay = typeof error.retryAfter === 'number'
+          ? error.retryAfter
+          : backoffDelay(retryDelay, attempt);
+        try {
+          await sleep(delay, signal);
+        } catch (error) {
+          throw createAbortError(signal, { url, attempts });
+        }
       }
     }
   }
 
-  throw new Error(`Failed to fetch ${url} after ${retries + 1} attempts: ${lastError.message}`);
+  lastError.attempts = attempts;
+
+  if (lastError instanceof BlockedError) {
+    throw lastError.withContext(`Blocked by ${urlObj.hostname} after ${attempts} attempts`);
+  }
+
+  throw lastError.withContext(`Failed to fetch ${url} after ${attempts} attempts`);
+}
+
+/**
+ * Picks the fetchHtml settings that every DuckDuckGo request passes through
+ * @param {Object} options - Search options
+ * @returns {Object} - { userAgent, timeout, retries, retryDelay, maxRetryAfter, checkRobots, robotsCache,
+ *   proxy, noProxy, signal }
+ */
+function transportOptions(options) {
+  const {
+    userAgent = DEFAULTS.userAgent,
+    timeout = DEFAULTS.timeout,
+    retries,
+    retryDelay,
+    maxRetryAfter,
+    checkRobots = true,
+    robotsCache,
+    proxy,
+    noProxy,
+    signal
+  } = options;
+
+  return {
+    userAgent, timeout, retries, retryDelay, maxRetryAfter, checkRobots, robotsCache, proxy, noProxy, signal
+  };
+}
+
+// DuckDuckGo parameter values for the search filter options
+const SAFE_SEARCH_PARAMS = { strict: '1', moderate: '-1', off: '-2' };
+const TIME_RANGE_PARAMS = { day: 'd', week: 'w', month: 'm', year: 'y' };
+
+/**
+ * Maps search filter options to DuckDuckGo query parameters
+ * @param {Object} filters - Search filters (see validateSearchFilters)
+ * @returns {Object} - Parameters to add to the search request (kl, kp, df)
+ */
+function buildFilterParams(filters = {}) {
+  const { region, safeSearch, timeRange } = filters;
+  const params = {};
+
+  if (region) {
+    params.kl = region.toLowerCase();
+  }
+  if (SAFE_SEARCH_PARAMS[safeSearch]) {
+    params.kp = SAFE_SEARCH_PARAMS[safeSearch];
+  }
+  if (TIME_RANGE_PARAMS[timeRange]) {
+    params.df = TIME_RANGE_PARAMS[timeRange];
+  }
+
+  return params;
 }
 
 /**
@@ -134,38 +520,271 @@ async function fetchHtml(url, options = {}) {
  * @param {Object} options - Search options
  * @param {string} options.userAgent - User agent string
  * @param {number} options.rateLimitMs - Rate limit in milliseconds (default: 1000)
+ * @param {Object} options.scheduler - Scheduler from createHostScheduler (default: shared scheduler)
  * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {number} options.retries - Number of retry attempts (default: 2)
+ * @param {number} options.retryDelay - Initial retry delay in milliseconds (default: 1000)
+ * @param {number} options.maxRetryAfter - Longest Retry-After in milliseconds worth waiting for (default: 60000)
  * @param {boolean} options.checkRobots - Whether to check robots.txt
+ * @param {Object} options.robotsCache - Robots cache from createRobotsCache
+ * @param {string|Array<string>|Object|boolean} options.proxy - Proxy URL, list of proxy URLs or proxy pool
+ * @param {string|Array<string>} options.noProxy - Hosts to reach without the proxy
+ * @param {string} options.region - Region code, e.g. 'de-de'
+ * @param {string} options.safeSearch - 'strict', 'moderate' or 'off'
+ * @param {string} options.timeRange - 'day', 'week', 'month' or 'year'
+ * @param {AbortSignal} options.signal - Cancels the search, including robots.txt and rate-limit waits
+ * @param {number} options.deadline - Milliseconds the whole search may take
  * @returns {Promise<string>} - HTML content of search results
  */
-async function searchDuckDuckGoHtml(query, options = {}) {
-  const {
-    userAgent = 'quackfetch/0.1 (+https://github.com/your-repo/quackfetch)',
-    rateLimitMs = 1000, // 1 request per second default
-    timeout = 10000,
-    checkRobots = true
-  } = options;
+async function searchDuckDuckGoHtml(query, searchOptions = {}) {
+  const options = applyDeadline(searchOptions);
 
   // Encode query for URL
   const encodedQuery = encodeURIComponent(query);
-  const searchUrl = `https://html.duckduckgo.com/html/?q=${encodedQuery}`;
+  const filterParams = new URLSearchParams(buildFilterParams(options)).toString();
+  const searchUrl = `https://html.duckduckgo.com/html/?q=${encodedQuery}` +
+    (filterParams ? `&${filterParams}` : '');
 
-  // Enforce rate limiting
-  await enforceRateLimit('html.duckduckgo.com', rateLimitMs);
-
-  // Fetch HTML
-  const html = await fetchHtml(searchUrl, {
-    userAgent,
-    timeout,
-    checkRobots
+  // Fetch HTML once the host's rate limit allows it
+  const html = await scheduleRequest(searchUrl, options, () => {
+    return fetchHtml(searchUrl, { ...transportOptions(options), detectBlock: detectBlockPage });
   });
 
   return html;
 }
 
+/**
+ * Follows a "Next" form from a DuckDuckGo HTML results page
+ * @param {Object} form - Next-page form data from parseNextPageForm()
+ * @param {string} form.action - Form action, relative to html.duckduckgo.com
+ * @param {string} form.method - 'GET' or 'POST'
+ * @param {Object} form.fields - Hidden form fields (query, offset, tokens)
+ * @param {Object} options - Search options (same as searchDuckDuckGoHtml, including filters)
+ * @returns {Promise<string>} - HTML content of the next results page
+ */
+async function fetchNextSearchPage(form, options = {}) {
+  const pageUrl = new URL(form.action || '/html/', 'https://html.duckduckgo.com');
+  const params = new URLSearchParams(form.fields || {});
+
+  // The form normally carries the filters forward; fill in any it dropped
+  for (const [key, value] of Object.entries(buildFilterParams(options))) {
+    if (!params.has(key)) {
+      params.set(key, value);
+    }
+  }
+
+  if (form.method === 'GET') {
+    params.forEach((value, key) => pageUrl.searchParams.set(key, value));
+  }
+
+  // Every page counts against the same host rate limit as the first one
+  return scheduleRequest(pageUrl.toString(), options, () => fetchHtml(pageUrl.toString(), {
+    ...transportOptions(options),
+    detectBlock: detectBlockPage,
+    ...(form.method !== 'GET' && {
+      method: 'POST',
+      body: params.toString()
+    })
+  }));
+}
+
+/**
+ * Fetches a URL and parses the response body as JSON
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Same options as fetchHtml
+ * @returns {Promise<Object>} - Parsed JSON body
+ * @throws {QuackfetchError} - If fetch fails (see fetchHtml), or ParseError if the body is not valid JSON
+ */
+async function fetchJson(url, options = {}) {
+  const body = await fetchHtml(url, {
+    ...options,
+    accept: 'application/json,text/javascript;q=0.9,*/*;q=0.8'
+  });
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new ParseError(`Invalid JSON response from ${url}: ${error.message}`, { url, cause: error });
+  }
+}
+
+/**
+ * Queries the DuckDuckGo Instant Answer API
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {string} options.userAgent - User agent string
+ * @param {number} options.rateLimitMs - Rate limit in milliseconds (default: 1000)
+ * @param {Object} options.scheduler - Scheduler from createHostScheduler (default: shared scheduler)
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {boolean} options.checkRobots - Whether to check robots.txt
+ * @param {Object} options.robotsCache - Robots cache from createRobotsCache
+ * @returns {Promise<Object>} - Raw Instant Answer API response
+ */
+async function searchDuckDuckGoInstant(query, options = {}) {
+  const params = new URLSearchParams({
+    q: query,
+    format: 'json',
+    no_html: '1',
+    no_redirect: '1',
+    skip_disambig: '1'
+  });
+  const apiUrl = `https://api.duckduckgo.com/?${params.toString()}`;
+
+  // The API host gets its own rate limit slot, separate from the HTML endpoint
+  return scheduleRequest(apiUrl, options, () => fetchJson(apiUrl, transportOptions(options)));
+}
+
+// JSON endpoints behind DuckDuckGo's image, news and video tabs
+const VERTICAL_ENDPOINTS = {
+  images: 'i.js',
+  news: 'news.js',
+  videos: 'v.js'
+};
+
+// DuckDuckGo spelling of the image filter values
+const IMAGE_FILTER_VALUES = {
+  size: { small: 'Small', medium: 'Medium', large: 'Large', wallpaper: 'Wallpaper' },
+  color: {
+    color: 'color', monochrome: 'Monochrome', red: 'Red', orange: 'Orange', yellow: 'Yellow',
+    green: 'Green', blue: 'Blue', purple: 'Purple', pink: 'Pink', brown: 'Brown',
+    black: 'Black', gray: 'Gray', teal: 'Teal', white: 'White'
+  },
+  type: { photo: 'photo', clipart: 'clipart', gif: 'gif', transparent: 'transparent', line: 'line' },
+  layout: { square: 'Square', tall: 'Tall', wide: 'Wide' }
+};
+
+/**
+ * Builds the `f` parameter of the image endpoint from image filters
+ * @param {Object} filters - Image filters (see validateImageFilters)
+ * @returns {string} - Filter string such as 'size:Large,color:Red,type:,layout:'
+ */
+function buildImageFilterParam(filters = {}) {
+  return ['size', 'color', 'type', 'layout']
+    .map(name => `${name}:${IMAGE_FILTER_VALUES[name][filters[name]] || ''}`)
+    .join(',');
+}
+
+/**
+ * Fetches the DuckDuckGo results page that carries the vqd token for a query
+ * The image, news and video JSON endpoints only answer requests that
+ * include this per-query token.
+ * @param {string} query - Search query
+ * @param {Object} options - Search options (same as searchDuckDuckGoHtml)
+ * @param {string} options.vertical - 'images', 'news' or 'videos'
+ * @returns {Promise<string>} - HTML content containing the token
+ */
+async function fetchVqdPage(query, options = {}) {
+  const { vertical = 'web' } = options;
+
+  const params = new URLSearchParams({ q: query, ia: vertical, iax: vertical });
+  const pageUrl = `https://duckduckgo.com/?${params.toString()}`;
+
+  return scheduleRequest(pageUrl, options, () => fetchHtml(pageUrl, {
+    ...transportOptions(options),
+    detectBlock: detectBlockPage
+  }));
+}
+
+/**
+ * Fetches a JSON results page from one of the DuckDuckGo vertical endpoints
+ * @param {string} pageUrl - Absolute endpoint URL including its query string
+ * @param {Object} options - Search options (same as searchDuckDuckGoHtml)
+ * @returns {Promise<Object>} - Raw JSON response
+ */
+async function fetchVerticalJson(pageUrl, options = {}) {
+  return scheduleRequest(pageUrl, options, () => fetchJson(pageUrl, {
+    ...transportOptions(options),
+    headers: {
+      'Referer': 'https://duckduckgo.com/'
+    }
+  }));
+}
+
+/**
+ * Searches one of the DuckDuckGo vertical endpoints (images, news, videos)
+ * @param {string} vertical - 'images', 'news' or 'videos'
+ * @param {string} query - Search query
+ * @param {string} vqd - Token from the query's results page
+ * @param {Object} options - Search options (same as searchDuckDuckGoHtml)
+ * @param {Object} options.params - Extra endpoint parameters, e.g. { f: 'size:Large,...' }
+ * @returns {Promise<Object>} - Raw JSON response with `results` and an optional `next` path
+ */
+async function searchDuckDuckGoVertical(vertical, query, vqd, options = {}) {
+  const { region, safeSearch, params: extraParams = {} } = options;
+
+  if (!VERTICAL_ENDPOINTS[vertical]) {
+    throw new InvalidInputError(`Unknown search vertical "${vertical}"`);
+  }
+
+  const params = new URLSearchParams({
+    q: query,
+    vqd,
+    o: 'json',
+    l: region ? region.toLowerCase() : 'wt-wt',
+    p: SAFE_SEARCH_PARAMS[safeSearch] || '-1',
+    ...extraParams
+  });
+  const pageUrl = `https://duckduckgo.com/${VERTICAL_ENDPOINTS[vertical]}?${params.toString()}`;
+
+  return fetchVerticalJson(pageUrl, options);
+}
+
+/**
+ * Follows the `next` path of a vertical endpoint response
+ * @param {string} nextPath - `next` value from the previous response, e.g. 'i.js?q=...&s=100'
+ * @param {string} vqd - Token from the query's results page
+ * @param {Object} options - Search options (same as searchDuckDuckGoHtml)
+ * @returns {Promise<Object>} - Raw JSON response
+ */
+async function fetchNextVerticalPage(nextPath, vqd, options = {}) {
+  const pageUrl = new URL(nextPath, 'https://duckduckgo.com/');
+  pageUrl.searchParams.set('vqd', vqd);
+
+  return fetchVerticalJson(pageUrl.toString(), options);
+}
+
+// Media types of the landing pages that can be read
+const PAGE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+/**
+ * Fetches an arbitrary landing page, e.g. a search result, through the per-host scheduler
+ * Pages served as anything but HTML or XHTML are rejected before their body is read; a page
+ * without a Content-Type is read as HTML.
+ * @param {string} url - Page URL
+ * @param {Object} options - Fetch options (same as searchDuckDuckGoHtml)
+ * @param {number} options.maxBytes - Maximum page size in bytes (default: no limit)
+ * @returns {Promise<string>} - HTML content
+ * @throws {UnsupportedContentTypeError} - If the page is not HTML, e.g. a PDF
+ */
+async function fetchPage(url, options = {}) {
+  const { maxBytes } = options;
+
+  // Other sites answer 202 and 403 for their own reasons, so only 429 counts as throttling
+  return scheduleRequest(url, options, () => fetchHtml(url, {
+    ...transportOptions(options),
+    maxBytes,
+    contentTypes: PAGE_CONTENT_TYPES,
+    blockStatuses: [429]
+  }));
+}
+
 module.exports = {
   fetchHtml,
+  fetchPage,
+  fetchJson,
+  parseRetryAfter,
+  applyDeadline,
   searchDuckDuckGoHtml,
-  enforceRateLimit
+  searchDuckDuckGoInstant,
+  fetchNextSearchPage,
+  fetchVqdPage,
+  searchDuckDuckGoVertical,
+  fetchNextVerticalPage,
+  buildFilterParams,
+  buildImageFilterParam,
+  enforceRateLimit,
+  scheduleRequest,
+  defaultRobotsCache,
+  defaultScheduler
 };
 
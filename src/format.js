@@ -0,0 +1,225 @@
+/**
+ * Output formats for result lists: JSON, NDJSON, terminal text, tables, Markdown, CSV and URL lists
+ */
+
+const { InvalidInputError } = require('./errors');
+
+const FORMATS = ['json', 'ndjson', 'text', 'table', 'markdown', 'csv', 'urls'];
+
+// Columns shown by the table and CSV formats unless fields are given
+const DEFAULT_FIELDS = ['rank', 'title', 'url'];
+
+// Lines shown per result by the text format unless fields are given
+const TEXT_FIELDS = ['title', 'url', 'snippet'];
+
+// Widest table cell before it is cut off
+const MAX_CELL_WIDTH = 60;
+
+const ANSI = {
+  bold: '\x1b[1m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  reset: '\x1b[0m'
+};
+
+// Leading characters that make spreadsheets evaluate a CSV cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Tells whether a character code is a control character other than tab and line breaks
+ * Covers C0 (including ESC), DEL and C1 (including the CSI that starts terminal escapes).
+ * @param {number} code - Character code
+ * @returns {boolean} - True for characters to strip
+ */
+function isControlCharacter(code) {
+  if (code === 0x09 || code === 0x0a || code === 0x0d) {
+    return false;
+  }
+  return code < 0x20 || (code >= 0x7f && code <= 0x9f);
+}
+
+/**
+ * Removes control characters, so text from untrusted pages cannot drive the terminal
+ * @param {string} text - Text
+ * @returns {string} - Text without control characters
+ */
+function stripControlCharacters(text) {
+  let stripped = '';
+  for (const character of text) {
+    if (!isControlCharacter(character.charCodeAt(0))) {
+      stripped += character;
+    }
+  }
+  return stripped;
+}
+
+/**
+ * Converts a field value to a single string without control characters
+ * @param {*} value - Field value
+ * @returns {string} - Text; objects become JSON and missing values an empty string
+ */
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return stripControlCharacters(JSON.stringify(value));
+  }
+  return stripControlCharacters(String(value));
+}
+
+/**
+ * Copies the chosen fields of a result
+ * @param {Object} result - Result object
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} - Object with only those fields, in the given order
+ */
+function pickFields(result, fields) {
+  const picked = {};
+  for (const field of fields) {
+    picked[field] = result[field] === undefined ? null : result[field];
+  }
+  return picked;
+}
+
+/**
+ * Quotes a CSV cell when it contains a comma, quote or line break (RFC 4180)
+ * Cells starting like a formula (=, +, -, @, tab or carriage return) get a leading ' so
+ * spreadsheets show them as text.
+ * @param {*} value - Field value
+ * @returns {string} - CSV cell
+ */
+function escapeCsv(value) {
+  const raw = toText(value);
+  const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats results as CSV with a header row
+ * @param {Array<Object>} results - Results
+ * @param {Array<string>} fields - Columns
+ * @returns {string} - CSV text
+ */
+function formatCsv(results, fields) {
+  const rows = [fields, ...results.map(result => fields.map(field => result[field]))];
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\n');
+}
+
+/**
+ * Formats results as a plain-text table with aligned columns
+ * Line breaks inside cells become spaces and long cells are cut off.
+ * @param {Array<Object>} results - Results
+ * @param {Array<string>} fields - Columns
+ * @returns {string} - Table text
+ */
+function formatTable(results, fields) {
+  const cell = (value) => {
+    const text = toText(value).replace(/\s+/g, ' ').trim();
+    return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+  };
+
+  const rows = results.map(result => fields.map(field => cell(result[field])));
+  const widths = fields.map((field, column) => Math.max(field.length, ...rows.map(row => row[column].length)));
+  const line = (cells) => cells.map((text, column) => text.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [
+    line(fields),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line)
+  ].join('\n');
+}
+
+/**
+ * Formats results as a Markdown list of links
+ * @param {Array<Object>} results - Results
+ * @returns {string} - Markdown text
+ */
+function formatMarkdown(results) {
+  return results
+    .filter(result => result.url)
+    .map(result => {
+      const title = toText(result.title || result.url).replace(/([\\[\]])/g, '\\$1');
+      const url = toText(result.url).replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20');
+      return `- [${title}](${url})`;
+    })
+    .join('\n');
+}
+
+/**
+ * Formats results as a numbered list for reading in a terminal
+ * The first field is the heading of each result; with color, headings are bold
+ * and the second field, usually the URL, is cyan.
+ * @param {Array<Object>} results - Results
+ * @param {Array<string>} fields - Fields shown per result
+ * @param {boolean} color - Whether to use ANSI colors
+ * @returns {string} - Text
+ */
+function formatText(results, fields, color) {
+  if (results.length === 0) {
+    return 'No results.';
+  }
+
+  const paint = (style, text) => (color ? `${ANSI[style]}${text}${ANSI.reset}` : text);
+
+  return results.map((result, index) => {
+    const number = `${result.rank || index + 1}.`;
+    const indent = ' '.repeat(number.length + 1);
+    const [heading, ...rest] = fields.map(field => toText(result[field]).replace(/\s+/g, ' ').trim());
+
+    const lines = [`${paint('dim', number)} ${paint('bold', heading)}`];
+    rest.forEach((text, position) => {
+      if (text) {
+        lines.push(indent + (position === 0 ? paint('cyan', text) : text));
+      }
+    });
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Formats a list of results for output
+ * @param {Array<Object>} results - Results, e.g. from search()
+ * @param {Object} options - Format options
+ * @param {string} options.format - 'json', 'ndjson', 'text', 'table', 'markdown', 'csv' or 'urls'
+ *   (default: 'json')
+ * @param {Array<string>} options.fields - Fields to include (default: all fields for JSON and
+ *   NDJSON, rank, title and url for tables and CSV, title, url and snippet for text)
+ * @param {boolean} options.color - Use ANSI colors in the text format (default: false)
+ * @returns {string} - Formatted output without a trailing newline
+ * @throws {InvalidInputError} - If the format is unknown
+ */
+function formatResults(results, options = {}) {
+  const {
+    format = 'json',
+    fields,
+    color = false
+  } = options;
+
+  const chosen = fields && fields.length > 0 ? fields : null;
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(chosen ? results.map(result => pickFields(result, chosen)) : results, null, 2);
+    case 'ndjson':
+      return results.map(result => JSON.stringify(chosen ? pickFields(result, chosen) : result)).join('\n');
+    case 'text':
+      return formatText(results, chosen || TEXT_FIELDS, color);
+    case 'table':
+      return formatTable(results, chosen || DEFAULT_FIELDS);
+    case 'markdown':
+      return formatMarkdown(results);
+    case 'csv':
+      return formatCsv(results, chosen || DEFAULT_FIELDS);
+    case 'urls':
+      return results.map(result => toText(result.url)).filter(Boolean).join('\n');
+    default:
+      throw new InvalidInputError(`Unknown format "${format}": expected ${FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  formatResults,
+  escapeCsv
+};
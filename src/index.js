@@ -3,125 +3,118 @@
  * Main API entry point
  */
 
-const { searchDuckDuckGoHtml } = require('./fetcher');
-const { parseSearchHtml } = require('./parser');
-const { createCache } = require('./cache');
-
-// Default cache instance
-let defaultCache = null;
-
-/**
- * Generates a cache key from query and options
- * @param {string} query - Search query
- * @param {Object} options - Search options
- * @returns {string} - Cache key
- */
-function generateCacheKey(query, options) {
-  const relevantOptions = {
-    max: options.max || 10,
-    useInstantApi: options.useInstantApi || false
-  };
-  return `search:${query}:${JSON.stringify(relevantOptions)}`;
-}
+const { defaultScheduler, defaultRobotsCache } = require('./fetcher');
+const { parseSearchPage, detectBlockPage } = require('./parser');
+const { createCache, createFileStore } = require('./cache');
+const { createHostScheduler } = require('./scheduler');
+const { compileQuery } = require('./query');
+const { createClient } = require('./client');
+const { createProxyPool } = require('./proxy');
+const { formatResults } = require('./format');
+const { DEFAULTS, loadConfig, clientConfig } = require('./config');
+const { REQUEST_SCHEMAS, RESULT_SCHEMAS, RESPONSE_SCHEMAS, validateSchema } = require('./schema');
+const { buildOpenApiSpec } = require('./openapi');
+const {
+  QuackfetchError,
+  InvalidInputError,
+  TimeoutError,
+  AbortedError,
+  RobotsDisallowedError,
+  HttpStatusError,
+  BlockedError,
+  NetworkError,
+  ResponseTooLargeError,
+  UnsupportedContentTypeError,
+  ParseError,
+  createAbortError
+} = require('./errors');
+const {
+  parseRobotsTxt,
+  matchesRobotsPattern,
+  evaluateRobots,
+  isAllowedByRobots,
+  getCrawlDelay,
+  fetchRobots,
+  createRobotsCache
+} = require('./robots');
+
+// Client methods exported as top-level functions
+const DEFAULT_CLIENT_METHODS = [
+  'search',
+  'searchIter',
+  'searchMany',
+  'searchInstantAnswer',
+  'searchImages',
+  'searchNews',
+  'searchVideos',
+  'searchAndRead',
+  'readPage',
+  'clearCache',
+  'getCacheStats',
+  'getRateLimitStats'
+];
+
+let defaultClient = null;
 
 /**
- * Main search function
- * @param {string} query - Search query string
- * @param {Object} options - Search options
- * @param {number} options.max - Maximum number of results (default: 10)
- * @param {number} options.cacheTTL - Cache TTL in milliseconds (default: 300000 = 5 minutes)
- * @param {number} options.cacheSize - Maximum cache size (default: 100)
- * @param {string} options.userAgent - User agent string
- * @param {number} options.rateLimit - Rate limit in milliseconds (default: 1000)
- * @param {boolean} options.useInstantApi - Use Instant Answer API (not implemented yet, default: false)
- * @param {boolean} options.useCache - Enable caching (default: true)
- * @returns {Promise<Array<Object>>} - Array of search result objects
+ * Returns the client behind the top-level functions, creating it on first use
+ * It shares the fetcher's scheduler and robots cache with direct fetcher calls and is
+ * configured by .quackfetchrc files and QUACKFETCH_* environment variables. Loading the
+ * configuration on first use means an invalid file fails the first call, not require().
+ * @returns {Object} - Default client
+ * @throws {InvalidInputError} - If the configuration is invalid
  */
-async function search(query, options = {}) {
-  // Validate input
-  if (!query || typeof query !== 'string' || query.trim().length === 0) {
-    throw new Error('Query must be a non-empty string');
-  }
-
-  const {
-    max = 10,
-    cacheTTL = 300000,
-    cacheSize = 100,
-    userAgent = 'quackfetch/0.1 (+https://github.com/your-repo/quackfetch)',
-    rateLimit = 1000,
-    useInstantApi = false,
-    useCache = true
-  } = options;
-
-  // Initialize cache if not already done
-  if (useCache && !defaultCache) {
-    defaultCache = createCache({
-      maxSize: cacheSize,
-      ttl: cacheTTL
+function getDefaultClient() {
+  if (!defaultClient) {
+    defaultClient = createClient({
+      ...clientConfig(loadConfig().values),
+      scheduler: defaultScheduler,
+      robotsCache: defaultRobotsCache
     });
   }
-
-  // Generate cache key
-  const cacheKey = generateCacheKey(query, options);
-
-  // Check cache
-  if (useCache && defaultCache.has(cacheKey)) {
-    const cachedResults = defaultCache.get(cacheKey);
-    return cachedResults.map(result => ({
-      ...result,
-      cached: true
-    }));
-  }
-
-  try {
-    // Fetch HTML from DuckDuckGo
-    const html = await searchDuckDuckGoHtml(query, {
-      userAgent,
-      rateLimitMs: rateLimit,
-      checkRobots: true
-    });
-
-    // Parse HTML into structured results
-    const results = parseSearchHtml(html, {
-      maxResults: max
-    });
-
-    // Cache results
-    if (useCache && results.length > 0) {
-      defaultCache.set(cacheKey, results);
-    }
-
-    return results;
-
-  } catch (error) {
-    // Re-throw with more context
-    throw new Error(`Search failed for query "${query}": ${error.message}`);
-  }
-}
-
-/**
- * Clears the default cache
- */
-function clearCache() {
-  if (defaultCache) {
-    defaultCache.clear();
-  }
+  return defaultClient;
 }
 
-/**
- * Gets cache statistics
- * @returns {Object|null} - Cache stats or null if cache not initialized
- */
-function getCacheStats() {
-  if (defaultCache) {
-    return defaultCache.getStats();
-  }
-  return null;
-}
+const defaultFunctions = Object.fromEntries(DEFAULT_CLIENT_METHODS.map(name => [
+  name,
+  (...args) => getDefaultClient()[name](...args)
+]));
 
 module.exports = {
-  search,
-  clearCache,
-  getCacheStats
+  ...defaultFunctions,
+  createClient,
+  compileQuery,
+  parseSearchPage,
+  detectBlockPage,
+  createHostScheduler,
+  createCache,
+  createFileStore,
+  createProxyPool,
+  formatResults,
+  DEFAULTS,
+  loadConfig,
+  REQUEST_SCHEMAS,
+  RESULT_SCHEMAS,
+  RESPONSE_SCHEMAS,
+  validateSchema,
+  buildOpenApiSpec,
+  parseRobotsTxt,
+  matchesRobotsPattern,
+  evaluateRobots,
+  isAllowedByRobots,
+  getCrawlDelay,
+  fetchRobots,
+  createRobotsCache,
+  QuackfetchError,
+  InvalidInputError,
+  TimeoutError,
+  AbortedError,
+  RobotsDisallowedError,
+  HttpStatusError,
+  BlockedError,
+  NetworkError,
+  ResponseTooLargeError,
+  UnsupportedContentTypeError,
+  ParseError,
+  createAbortError
 };
-
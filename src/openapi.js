@@ -0,0 +1,225 @@
+/**
+ * OpenAPI description of the search API server, built from the schemas in schema.js
+ */
+
+const { version } = require('../package.json');
+const { REQUEST_SCHEMAS, RESULT_SCHEMAS, RESPONSE_SCHEMAS } = require('./schema');
+
+/**
+ * Search routes as they appear in the description
+ */
+const ROUTES = {
+  search: { summary: 'Web search', operationId: 'search', component: 'Search', result: 'web' },
+  images: { summary: 'Image search', operationId: 'searchImages', component: 'ImageSearch', result: 'image' },
+  news: { summary: 'News search', operationId: 'searchNews', component: 'NewsSearch', result: 'news' },
+  videos: { summary: 'Video search', operationId: 'searchVideos', component: 'VideoSearch', result: 'video' }
+};
+
+// Schema component names of the result kinds
+const RESULT_COMPONENTS = {
+  web: 'SearchResult',
+  image: 'ImageResult',
+  news: 'NewsResult',
+  video: 'VideoResult'
+};
+
+// Error statuses of the search routes and when they happen
+const ERROR_RESPONSES = {
+  400: 'Invalid parameters or body; `field` names the offending parameter',
+  401: 'Missing or unknown API key',
+  403: 'robots.txt disallows the search',
+  429: 'The quota of the API key is used up (QUOTA_EXCEEDED), or DuckDuckGo throttles the server (BLOCKED)',
+  502: 'DuckDuckGo failed or answered with something that could not be parsed',
+  503: 'The server is shutting down',
+  504: 'The search timed out'
+};
+
+/**
+ * Lists the schema components of the description
+ * @returns {Object} - Schemas by component name
+ */
+function schemaComponents() {
+  const components = {};
+
+  for (const [kind, name] of Object.entries(RESULT_COMPONENTS)) {
+    components[name] = RESULT_SCHEMAS[kind];
+  }
+  for (const [name, route] of Object.entries(ROUTES)) {
+    components[`${route.component}Request`] = REQUEST_SCHEMAS[name];
+    components[`${route.component}Response`] = RESPONSE_SCHEMAS[name];
+  }
+  components.Error = RESPONSE_SCHEMAS.error;
+  components.Health = RESPONSE_SCHEMAS.health;
+
+  return components;
+}
+
+/**
+ * Copies a schema for publishing
+ * Schemas that are components themselves become $refs, and keywords only the validator
+ * understands are left out.
+ * @param {*} schema - Schema, or a part of one
+ * @param {Map<Object, string>} refs - Component names by schema
+ * @param {Object} root - Schema being published, which is not replaced by its own $ref
+ * @returns {*} - Published copy
+ */
+function publishSchema(schema, refs, root = schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => publishSchema(item, refs, root));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (schema !== root && refs.has(schema)) {
+    return { $ref: `#/components/schemas/${refs.get(schema)}` };
+  }
+
+  const copy = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key !== 'patternDescription') {
+      copy[key] = publishSchema(value, refs, root);
+    }
+  }
+  return copy;
+}
+
+/**
+ * Describes the query-string parameters of a GET search route
+ * @param {Object} schema - Request schema of the route
+ * @param {Map<Object, string>} refs - Component names by schema
+ * @returns {Array<Object>} - OpenAPI parameter objects
+ */
+function queryParameters(schema, refs) {
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...rest } = publishSchema(property, refs);
+    // Query strings carry strings; structured queries need a JSON body
+    const parameterSchema = name === 'q' ? { ...rest, type: 'string' } : rest;
+
+    return {
+      name,
+      in: 'query',
+      required: schema.required.includes(name),
+      ...(description && { description }),
+      schema: parameterSchema
+    };
+  });
+}
+
+/**
+ * Describes the responses of a search route
+ * @param {Object} route - Entry of ROUTES
+ * @param {boolean} auth - Whether the server requires API keys
+ * @returns {Object} - OpenAPI responses object
+ */
+function searchResponses(route, auth) {
+  const responses = {
+    200: {
+      description: 'Search results',
+      headers: {
+        'RateLimit-Limit': { description: 'Requests allowed per quota window', schema: { type: 'integer' } },
+        'RateLimit-Remaining': { description: 'Requests left in this window', schema: { type: 'integer' } },
+        'RateLimit-Reset': { description: 'Seconds until the window resets', schema: { type: 'integer' } }
+      },
+      content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.component}Response` } } }
+    }
+  };
+
+  for (const [status, description] of Object.entries(ERROR_RESPONSES)) {
+    if (status === '401' && !auth) {
+      continue;
+    }
+    responses[status] = {
+      description,
+      ...(status === '429' && {
+        headers: { 'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } } }
+      }),
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  }
+
+  return responses;
+}
+
+/**
+ * Builds the OpenAPI 3.1 description of the search API server
+ * @param {Object} options - Description options
+ * @param {boolean} options.auth - Describe API key authentication, as for a server with apiKeys (default: false)
+ * @returns {Object} - OpenAPI document
+ */
+function buildOpenApiSpec(options = {}) {
+  const { auth = false } = options;
+
+  const components = schemaComponents();
+  const refs = new Map(Object.entries(components).map(([name, schema]) => [schema, name]));
+  const paths = {};
+
+  for (const [name, route] of Object.entries(ROUTES)) {
+    const responses = searchResponses(route, auth);
+
+    paths[`/${name}`] = {
+      get: {
+        operationId: route.operationId,
+        summary: route.summary,
+        parameters: queryParameters(REQUEST_SCHEMAS[name], refs),
+        responses
+      },
+      post: {
+        operationId: `${route.operationId}Post`,
+        summary: `${route.summary} with a JSON body, which may hold a structured query`,
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.component}Request` } } }
+        },
+        responses
+      }
+    };
+  }
+
+  paths['/health'] = {
+    get: {
+      operationId: 'health',
+      summary: 'Health check with the state of each proxy',
+      security: [],
+      responses: {
+        200: { description: 'The server is running', content: { 'application/json': { schema: { $ref: '#/components/schemas/Health' } } } },
+        503: { description: 'The server is shutting down', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      }
+    }
+  };
+
+  paths['/openapi.json'] = {
+    get: {
+      operationId: 'openApi',
+      summary: 'This description',
+      security: [],
+      responses: {
+        200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } }
+      }
+    }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'quackfetch search API',
+      version,
+      description: 'Searches DuckDuckGo and returns normalized JSON results.'
+    },
+    paths,
+    components: {
+      schemas: Object.fromEntries(Object.entries(components)
+        .map(([name, schema]) => [name, publishSchema(schema, refs)])),
+      ...(auth && {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer' },
+          apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        }
+      })
+    },
+    ...(auth && { security: [{ bearerAuth: [] }, { apiKeyHeader: [] }] })
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec
+};
@@ -5,93 +5,78 @@
 const cheerio = require('cheerio');
 const { normalizeUrl } = require('./utils');
 
+// Elements of the anomaly and CAPTCHA pages served instead of results when requests are throttled.
+// Markup is matched rather than text, so results about CAPTCHAs are not mistaken for a block.
+const BLOCK_PAGE_SELECTORS = {
+  anomaly: '.anomaly-modal, .anomaly-modal__modal, #anomaly-modal, form#challenge-form, script[src*="anomaly.js"]',
+  captcha: '.g-recaptcha, .h-captcha, #cf-challenge-running, .cf-turnstile'
+};
+
 /**
  * Parses DuckDuckGo HTML search results into structured JSON
+ * Sponsored results are left out; use parseSearchPage to get them separately.
  * @param {string} html - HTML content from DuckDuckGo search page
  * @param {Object} options - Parser options
  * @param {number} options.maxResults - Maximum number of results to return (default: 10)
  * @returns {Array<Object>} - Array of search result objects
  */
 function parseSearchHtml(html, options = {}) {
+  return parseSearchPage(html, options).results;
+}
+
+/**
+ * Parses a full DuckDuckGo HTML results page, including the features around the results
+ * @param {string} html - HTML content from DuckDuckGo search page
+ * @param {Object} options - Parser options
+ * @param {number} options.maxResults - Maximum number of organic results to return (default: 10)
+ * @returns {Object} - { results, ads, spelling, zeroClick, relatedSearches, hasMore }
+ */
+function parseSearchPage(html, options = {}) {
   const { maxResults = 10 } = options;
+  const page = {
+    results: [],
+    ads: [],
+    spelling: { correctedQuery: null, didYouMean: null },
+    zeroClick: null,
+    relatedSearches: [],
+    hasMore: false
+  };
 
   if (!html || typeof html !== 'string') {
-    return [];
+    return page;
   }
 
   const $ = cheerio.load(html);
-  const results = [];
+  const { results, ads } = page;
+  const blocked = detectBlockPage($) !== null;
 
   // DuckDuckGo HTML structure: results are in div.result or div.web-result
   // Each result contains: title (a.result__a), snippet (a.result__snippet), URL (a.result__a href)
-  $('div.result, div.web-result').each((index, element) => {
-    if (results.length >= maxResults) {
-      return false; // Break loop
-    }
+  // Sponsored results carry result--ad and get their own rank sequence
+  const $elements = $('div.result, div.web-result');
 
+  $elements.each((index, element) => {
     const $result = $(element);
-    
-    // Extract title and URL from the main link
-    const $link = $result.find('a.result__a, a.result-link');
-    const title = $link.text().trim();
-    const rawUrl = $link.attr('href') || '';
-
-    // DuckDuckGo uses redirect URLs, try to extract real URL
-    let url = rawUrl;
-    if (rawUrl.startsWith('/l/?uddg=')) {
-      // Extract URL from DuckDuckGo redirect
-      try {
-        const decoded = decodeURIComponent(rawUrl.split('uddg=')[1]);
-        url = decoded;
-      } catch (e) {
-        // If decoding fails, try alternative parsing
-        const match = rawUrl.match(/uddg=([^&]+)/);
-        if (match) {
-          try {
-            url = decodeURIComponent(match[1]);
-          } catch (e2) {
-            url = rawUrl;
-          }
-        }
-      }
-    } else if (rawUrl.startsWith('/l/?kh=')) {
-      // Alternative redirect format
-      const match = rawUrl.match(/uddg=([^&]+)/);
-      if (match) {
-        try {
-          url = decodeURIComponent(match[1]);
-        } catch (e) {
-          url = rawUrl;
-        }
-      }
+    const isAd = $result.hasClass('result--ad') || $result.find('.badge--ad').length > 0;
+    const list = isAd ? ads : results;
+
+    if (!isAd && results.length >= maxResults) {
+      return;
     }
 
-    // Extract snippet
-    const snippet = $result.find('a.result__snippet, div.result__snippet').text().trim() ||
-                    $result.find('span.result__snippet').text().trim() ||
-                    '';
-
-    // Extract source/domain
-    const source = $result.find('span.result__url, a.result__url').text().trim() ||
-                   extractDomain(url);
-
-    // Only add result if we have at least a title or URL
-    if (title || url) {
-      const normalizedUrl = normalizeUrl(url);
-      
-      results.push({
-        title: title || 'Untitled',
-        url: normalizedUrl,
-        snippet: snippet || '',
-        rank: results.length + 1,
-        source: source || extractDomain(normalizedUrl),
-        retrievedAt: new Date().toISOString()
+    const result = parseResultElement($result);
+    if (result) {
+      list.push({
+        ...result,
+        rank: list.length + 1,
+        ...(isAd && { ad: true })
       });
     }
   });
 
-  // Fallback: try alternative selectors if no results found
-  if (results.length === 0) {
+  // Fallback: try alternative selectors if the page has no recognizable results;
+  // on a block page they would only pick up the challenge markup
+  if ($elements.length === 0 && !blocked) {
     $('div[class*="result"]').each((index, element) => {
       if (results.length >= maxResults) {
         return false;
@@ -116,9 +101,522 @@ function parseSearchHtml(html, options = {}) {
     });
   }
 
+  page.spelling = parseSpelling($);
+  page.zeroClick = parseZeroClick($);
+  page.relatedSearches = parseRelatedSearches($);
+  page.hasMore = parseNextPageForm(html) !== null;
+
+  return page;
+}
+
+/**
+ * Detects the anomaly or CAPTCHA page DuckDuckGo serves instead of results when it throttles a client
+ * @param {string|Function} html - HTML content of a DuckDuckGo page, or a Cheerio instance for it
+ * @returns {string|null} - 'anomaly' or 'captcha', or null for a regular page
+ */
+function detectBlockPage(html) {
+  if (!html) {
+    return null;
+  }
+
+  const $ = typeof html === 'function' ? html : cheerio.load(String(html));
+  const reason = Object.keys(BLOCK_PAGE_SELECTORS).find(name => $(BLOCK_PAGE_SELECTORS[name]).length > 0);
+  return reason || null;
+}
+
+/**
+ * Extracts a single result from a DuckDuckGo result element
+ * @param {Object} $result - Cheerio-wrapped result element
+ * @returns {Object|null} - Result without rank, or null if it has neither title nor URL
+ */
+function parseResultElement($result) {
+  // Extract title and URL from the main link
+  const $link = $result.find('a.result__a, a.result-link');
+  const title = $link.text().trim();
+  const rawUrl = $link.attr('href') || '';
+
+  // DuckDuckGo uses redirect URLs, try to extract real URL
+  let url = rawUrl;
+  if (rawUrl.startsWith('/l/?uddg=')) {
+    // Extract URL from DuckDuckGo redirect
+    try {
+      const decoded = decodeURIComponent(rawUrl.split('uddg=')[1]);
+      url = decoded;
+    } catch (e) {
+      // If decoding fails, try alternative parsing
+      const match = rawUrl.match(/uddg=([^&]+)/);
+      if (match) {
+        try {
+          url = decodeURIComponent(match[1]);
+        } catch (e2) {
+          url = rawUrl;
+        }
+      }
+    }
+  } else if (rawUrl.startsWith('/l/?kh=')) {
+    // Alternative redirect format
+    const match = rawUrl.match(/uddg=([^&]+)/);
+    if (match) {
+      try {
+        url = decodeURIComponent(match[1]);
+      } catch (e) {
+        url = rawUrl;
+      }
+    }
+  }
+
+  // Extract snippet
+  const snippet = $result.find('a.result__snippet, div.result__snippet').text().trim() ||
+                  $result.find('span.result__snippet').text().trim() ||
+                  '';
+
+  // Extract source/domain
+  const source = $result.find('span.result__url, a.result__url').text().trim() ||
+                 extractDomain(url);
+
+  // Only keep the result if we have at least a title or URL
+  if (!title && !url) {
+    return null;
+  }
+
+  const normalizedUrl = normalizeUrl(url);
+
+  return {
+    title: title || 'Untitled',
+    url: normalizedUrl,
+    snippet: snippet || '',
+    source: source || extractDomain(normalizedUrl),
+    retrievedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Extracts the spelling suggestion shown above the results
+ * DuckDuckGo either searches a corrected query right away ("Including results for ...")
+ * or only suggests one ("Did you mean ...?").
+ * @param {Function} $ - Cheerio instance for the page
+ * @returns {Object} - { correctedQuery, didYouMean }, each null when absent
+ */
+function parseSpelling($) {
+  const spelling = { correctedQuery: null, didYouMean: null };
+  const $message = $('#did_you_mean, .msg--spelling').first();
+
+  if ($message.length === 0) {
+    return spelling;
+  }
+
+  const text = $message.text().replace(/\s+/g, ' ');
+  const suggestion = $message.find('a').first().text().trim() || null;
+
+  if (/including results for|showing results for/i.test(text)) {
+    spelling.correctedQuery = suggestion;
+  } else if (/did you mean/i.test(text)) {
+    spelling.didYouMean = suggestion;
+  }
+
+  return spelling;
+}
+
+/**
+ * Extracts the zero-click info box shown above the results
+ * @param {Function} $ - Cheerio instance for the page
+ * @returns {Object|null} - { heading, text, url, source } or null if the page has none
+ */
+function parseZeroClick($) {
+  const $box = $('.zci-wrapper, #zero_click_wrapper').first();
+
+  if ($box.length === 0) {
+    return null;
+  }
+
+  const $heading = $box.find('.zci__heading').first();
+  const $abstract = $box.find('.zci__result, #zero_click_abstract').first().clone();
+  const $more = $abstract.find('a').last();
+  const url = $more.attr('href') || $heading.find('a').attr('href') || '';
+
+  // The trailing "More at Wikipedia" link names the source
+  const source = $more.text().replace(/^\s*more at\s*/i, '').trim();
+  $more.remove();
+
+  const heading = $heading.text().trim();
+  const text = $abstract.text().replace(/\s+/g, ' ').trim();
+
+  if (!heading && !text) {
+    return null;
+  }
+
+  return {
+    heading,
+    text,
+    url: url ? normalizeUrl(url) : '',
+    source: source || (url ? extractDomain(url) : '')
+  };
+}
+
+/**
+ * Extracts the related searches listed with the results
+ * @param {Function} $ - Cheerio instance for the page
+ * @returns {Array<string>} - Related queries in page order, without duplicates
+ */
+function parseRelatedSearches($) {
+  const related = [];
+
+  $('.related-searches a, .result--related a').each((index, element) => {
+    const text = $(element).text().replace(/\s+/g, ' ').trim();
+    if (text && !related.includes(text)) {
+      related.push(text);
+    }
+  });
+
+  return related;
+}
+
+/**
+ * Extracts the "Next" page form from a DuckDuckGo HTML results page
+ * The HTML endpoint paginates with a form whose hidden fields carry the
+ * result offset and the tokens required to request the following page.
+ * @param {string} html - HTML content from DuckDuckGo search page
+ * @returns {Object|null} - { action, method, fields } or null if there is no next page
+ */
+function parseNextPageForm(html) {
+  if (!html || typeof html !== 'string') {
+    return null;
+  }
+
+  const $ = cheerio.load(html);
+  let $nextForm = null;
+
+  $('form').each((index, element) => {
+    const $form = $(element);
+    const $submit = $form.find('input[type="submit"], button[type="submit"]').first();
+    const label = ($submit.attr('value') || $submit.text() || '').trim();
+
+    if (/^next/i.test(label)) {
+      $nextForm = $form;
+      return false; // Break loop
+    }
+  });
+
+  if (!$nextForm) {
+    return null;
+  }
+
+  const fields = {};
+  $nextForm.find('input[type="hidden"]').each((index, element) => {
+    const name = $(element).attr('name');
+    if (name) {
+      fields[name] = $(element).attr('value') || '';
+    }
+  });
+
+  return {
+    action: $nextForm.attr('action') || '/html/',
+    method: ($nextForm.attr('method') || 'post').toUpperCase(),
+    fields
+  };
+}
+
+/**
+ * Extracts the vqd token that DuckDuckGo embeds in its results pages
+ * @param {string} html - HTML content from a duckduckgo.com results page
+ * @returns {string|null} - Token such as '4-1234567890', or null if not found
+ */
+function parseVqdToken(html) {
+  if (!html || typeof html !== 'string') {
+    return null;
+  }
+
+  const match = html.match(/vqd\s*[=:]\s*["']?([\d-]+)["']?/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Converts a value from a vertical endpoint into a non-negative integer
+ * @param {*} value - Number or numeric string
+ * @returns {number|null} - Integer, or null if the value is not numeric
+ */
+function toCount(value) {
+  const number = typeof value === 'number' ? value : parseInt(String(value || '').replace(/[^\d]/g, ''), 10);
+  return Number.isFinite(number) && number >= 0 ? Math.round(number) : null;
+}
+
+/**
+ * Parses a response from the DuckDuckGo image endpoint (i.js) into normalized image results
+ * @param {Object} data - JSON response with a `results` array
+ * @returns {Array<Object>} - Array of image result objects
+ */
+function parseImageResults(data) {
+  if (!data || !Array.isArray(data.results)) {
+    return [];
+  }
+
+  const results = [];
+
+  for (const item of data.results) {
+    if (!item || !item.image) {
+      continue;
+    }
+
+    const url = normalizeUrl(item.url || '');
+
+    results.push({
+      title: item.title || 'Untitled',
+      url,
+      image: item.image,
+      thumbnail: item.thumbnail || '',
+      width: toCount(item.width),
+      height: toCount(item.height),
+      source: extractDomain(url),
+      rank: results.length + 1,
+      retrievedAt: new Date().toISOString()
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Converts an HTML fragment from a vertical endpoint into plain text
+ * @param {string} html - Text that may contain tags such as <b> and HTML entities
+ * @returns {string} - Plain text
+ */
+function stripHtml(html) {
+  if (!html) {
+    return '';
+  }
+  return cheerio.load(String(html), null, false).text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Converts a date from a vertical endpoint into an ISO date string
+ * Date-times without a time zone, such as '2024-03-15T08:30:00.0000000', are read as UTC
+ * rather than in the host's local time.
+ * @param {*} value - Unix timestamp in seconds (number or numeric string) or a date string
+ * @returns {string|null} - ISO date, or null if the date is missing or invalid
+ */
+function toIsoDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const number = Number(value);
+  const text = String(value).trim();
+  const zoneless = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text);
+  const time = Number.isFinite(number) ? number * 1000 : Date.parse(zoneless ? `${text.replace(' ', 'T')}Z` : text);
+
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+/**
+ * Converts a duration such as '4:05' or '1:02:03' into seconds
+ * @param {string} duration - Duration in [[h:]m:]s notation
+ * @returns {number|null} - Seconds, or null if the duration is not in that notation
+ */
+function toSeconds(duration) {
+  if (!duration || !/^\d+(:\d{1,2}){0,2}$/.test(String(duration).trim())) {
+    return null;
+  }
+
+  return String(duration).trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Parses a response from the DuckDuckGo news endpoint (news.js) into normalized articles
+ * @param {Object} data - JSON response with a `results` array
+ * @returns {Array<Object>} - Array of news result objects
+ */
+function parseNewsResults(data) {
+  if (!data || !Array.isArray(data.results)) {
+    return [];
+  }
+
+  const results = [];
+
+  for (const item of data.results) {
+    if (!item || !item.url) {
+      continue;
+    }
+
+    const url = normalizeUrl(item.url);
+
+    results.push({
+      title: stripHtml(item.title) || 'Untitled',
+      url,
+      excerpt: stripHtml(item.excerpt),
+      publisher: item.source || extractDomain(url),
+      publishedAt: toIsoDate(item.date),
+      image: item.image || null,
+      rank: results.length + 1,
+      retrievedAt: new Date().toISOString()
+    });
+  }
+
   return results;
 }
 
+/**
+ * Parses a response from the DuckDuckGo video endpoint (v.js) into normalized video results
+ * @param {Object} data - JSON response with a `results` array
+ * @returns {Array<Object>} - Array of video result objects
+ */
+function parseVideoResults(data) {
+  if (!data || !Array.isArray(data.results)) {
+    return [];
+  }
+
+  const results = [];
+
+  for (const item of data.results) {
+    if (!item || !item.content) {
+      continue;
+    }
+
+    const url = normalizeUrl(item.content);
+    const images = item.images || {};
+    const statistics = item.statistics || {};
+
+    results.push({
+      title: stripHtml(item.title) || 'Untitled',
+      url,
+      description: stripHtml(item.description),
+      duration: item.duration || null,
+      durationSeconds: toSeconds(item.duration),
+      publisher: item.publisher || extractDomain(url),
+      uploader: item.uploader || null,
+      viewCount: toCount(statistics.viewCount),
+      uploadedAt: toIsoDate(item.published),
+      thumbnail: images.large || images.medium || images.small || null,
+      rank: results.length + 1,
+      retrievedAt: new Date().toISOString()
+    });
+  }
+
+  return results;
+}
+
+// Instant Answer API "Type" codes
+const INSTANT_ANSWER_TYPES = {
+  A: 'article',
+  D: 'disambiguation',
+  C: 'category',
+  N: 'name',
+  E: 'exclusive'
+};
+
+/**
+ * Parses a DuckDuckGo Instant Answer API response into a normalized answer object
+ * @param {Object} data - JSON response from api.duckduckgo.com
+ * @returns {Object|null} - Normalized answer, or null if the response has no answer content
+ */
+function parseInstantAnswer(data) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const abstract = data.AbstractText ? {
+    text: data.AbstractText,
+    source: data.AbstractSource || '',
+    url: data.AbstractURL || ''
+  } : null;
+
+  // Answer is usually a string, but calculator-style answers come back as objects
+  let answerText = '';
+  if (typeof data.Answer === 'string') {
+    answerText = data.Answer;
+  } else if (data.Answer && typeof data.Answer === 'object' && data.Answer.result) {
+    answerText = String(data.Answer.result);
+  }
+  const answer = answerText ? {
+    text: answerText,
+    type: data.AnswerType || ''
+  } : null;
+
+  const definition = data.Definition ? {
+    text: data.Definition,
+    source: data.DefinitionSource || '',
+    url: data.DefinitionURL || ''
+  } : null;
+
+  // Infobox is an empty string when absent, otherwise { content: [{ label, value }] }
+  let infobox = null;
+  if (data.Infobox && Array.isArray(data.Infobox.content)) {
+    infobox = data.Infobox.content
+      .filter(item => item && item.label && typeof item.value !== 'object')
+      .map(item => ({
+        label: item.label,
+        value: String(item.value)
+      }));
+    if (infobox.length === 0) {
+      infobox = null;
+    }
+  }
+
+  const relatedTopics = flattenRelatedTopics(data.RelatedTopics || []);
+
+  if (!abstract && !answer && !definition && !infobox && relatedTopics.length === 0) {
+    return null;
+  }
+
+  return {
+    heading: data.Heading || '',
+    type: INSTANT_ANSWER_TYPES[data.Type] || 'none',
+    abstract,
+    answer,
+    definition,
+    infobox,
+    relatedTopics,
+    image: resolveInstantUrl(data.Image),
+    sourceUrl: data.AbstractURL || data.DefinitionURL || data.Redirect || '',
+    retrievedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Flattens Instant Answer related topics, which may be nested in named groups
+ * @param {Array<Object>} topics - RelatedTopics array from the API
+ * @param {string} category - Group name inherited from the parent (default: '')
+ * @returns {Array<Object>} - Flat array of { text, url, icon, category }
+ */
+function flattenRelatedTopics(topics, category = '') {
+  const flattened = [];
+
+  for (const topic of topics) {
+    if (!topic) {
+      continue;
+    }
+
+    if (Array.isArray(topic.Topics)) {
+      flattened.push(...flattenRelatedTopics(topic.Topics, topic.Name || category));
+    } else if (topic.FirstURL || topic.Text) {
+      flattened.push({
+        text: topic.Text || '',
+        url: topic.FirstURL || '',
+        icon: resolveInstantUrl(topic.Icon && topic.Icon.URL),
+        category
+      });
+    }
+  }
+
+  return flattened;
+}
+
+/**
+ * Resolves image paths from the Instant Answer API, which are relative to duckduckgo.com
+ * @param {string} path - Image path or URL
+ * @returns {string} - Absolute URL or empty string
+ */
+function resolveInstantUrl(path) {
+  if (!path) {
+    return '';
+  }
+
+  try {
+    return new URL(path, 'https://duckduckgo.com').toString();
+  } catch (error) {
+    return '';
+  }
+}
+
 /**
  * Extracts domain from a URL
  * @param {string} url - URL string
@@ -134,13 +632,21 @@ function extractDomain(url) {
     return urlObj.hostname.replace(/^www\./, '');
   } catch (error) {
     // Try simple regex extraction
-    const match = url.match(/https?:\/\/([^\/]+)/);
+    const match = url.match(/https?:\/\/([^/]+)/);
     return match ? match[1].replace(/^www\./, '') : '';
   }
 }
 
 module.exports = {
   parseSearchHtml,
+  parseSearchPage,
+  detectBlockPage,
+  parseNextPageForm,
+  parseInstantAnswer,
+  parseVqdToken,
+  parseImageResults,
+  parseNewsResults,
+  parseVideoResults,
   extractDomain
 };
 
@@ -0,0 +1,157 @@
+/**
+ * Structured query builder compiling query objects to DuckDuckGo search syntax
+ */
+
+const { InvalidInputError } = require('./errors');
+
+// Fields accepted in a structured query object
+const QUERY_FIELDS = [
+  'terms',
+  'phrases',
+  'exclude',
+  'site',
+  'excludeSites',
+  'filetype',
+  'intitle',
+  'inurl'
+];
+
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)*[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/i;
+const FILETYPE_PATTERN = /^[a-z0-9]{1,10}$/i;
+
+/**
+ * Normalizes a field value to an array of non-empty trimmed strings
+ * @param {string} field - Field name, used in error messages
+ * @param {string|Array<string>} value - Field value
+ * @returns {Array<string>} - Values
+ * @throws {InvalidInputError} - If the value is not a string or an array of strings
+ */
+function toValues(field, value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+
+  for (const item of values) {
+    if (typeof item !== 'string') {
+      throw new InvalidInputError(`Invalid query field "${field}": expected a string or an array of strings`);
+    }
+    if (item.includes('"')) {
+      throw new InvalidInputError(`Invalid query field "${field}": values must not contain double quotes`);
+    }
+  }
+
+  return values.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Quotes a value when it would otherwise be read as several words or as an operator
+ * @param {string} value - Word or phrase without double quotes
+ * @returns {string} - Value safe to place in a query
+ */
+function quoteIfNeeded(value) {
+  return /[\s:]/.test(value) || /^[-+]/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * Validates a site value and strips a scheme or trailing slash
+ * @param {string} field - Field name, used in error messages
+ * @param {string} site - Domain such as 'example.com'
+ * @returns {string} - Bare domain
+ * @throws {InvalidInputError} - If the value is not a domain
+ */
+function toDomain(field, site) {
+  const domain = site.replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, '').toLowerCase();
+
+  if (!DOMAIN_PATTERN.test(domain)) {
+    throw new InvalidInputError(`Invalid query field "${field}": "${site}" is not a domain`);
+  }
+
+  return domain;
+}
+
+/**
+ * Compiles a structured query object into a DuckDuckGo query string
+ * Strings are returned unchanged, so callers can pass either form.
+ * @param {string|Object} query - Query string or structured query
+ * @param {string|Array<string>} query.terms - Words that should appear
+ * @param {string|Array<string>} query.phrases - Exact phrases
+ * @param {string|Array<string>} query.exclude - Words or phrases that must not appear
+ * @param {string} query.site - Only results from this domain
+ * @param {string|Array<string>} query.excludeSites - Domains to leave out
+ * @param {string} query.filetype - File extension such as 'pdf'
+ * @param {string|Array<string>} query.intitle - Words that must appear in the title
+ * @param {string|Array<string>} query.inurl - Words that must appear in the URL
+ * @returns {string} - Query string
+ * @throws {InvalidInputError} - If the query object has unknown fields or invalid values
+ */
+function compileQuery(query) {
+  if (typeof query === 'string') {
+    return query;
+  }
+
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    throw new InvalidInputError('Query must be a non-empty string or a query object');
+  }
+
+  for (const field of Object.keys(query)) {
+    if (!QUERY_FIELDS.includes(field)) {
+      throw new InvalidInputError(`Unknown query field "${field}": expected one of ${QUERY_FIELDS.join(', ')}`);
+    }
+  }
+
+  if (Array.isArray(query.site) || Array.isArray(query.filetype)) {
+    throw new InvalidInputError('Query fields "site" and "filetype" take a single value');
+  }
+
+  const parts = [];
+
+  // Free-text terms are split into words; anything that looks like an operator is quoted
+  for (const term of toValues('terms', query.terms)) {
+    parts.push(...term.split(/\s+/).map(quoteIfNeeded));
+  }
+
+  for (const phrase of toValues('phrases', query.phrases)) {
+    parts.push(`"${phrase}"`);
+  }
+
+  for (const word of toValues('intitle', query.intitle)) {
+    parts.push(`intitle:${quoteIfNeeded(word)}`);
+  }
+
+  for (const word of toValues('inurl', query.inurl)) {
+    parts.push(`inurl:${quoteIfNeeded(word)}`);
+  }
+
+  for (const site of toValues('site', query.site)) {
+    parts.push(`site:${toDomain('site', site)}`);
+  }
+
+  for (const filetype of toValues('filetype', query.filetype)) {
+    const extension = filetype.replace(/^\./, '');
+    if (!FILETYPE_PATTERN.test(extension)) {
+      throw new InvalidInputError(`Invalid query field "filetype": "${filetype}" is not a file extension`);
+    }
+    parts.push(`filetype:${extension.toLowerCase()}`);
+  }
+
+  for (const word of toValues('exclude', query.exclude)) {
+    parts.push(`-${quoteIfNeeded(word)}`);
+  }
+
+  for (const site of toValues('excludeSites', query.excludeSites)) {
+    parts.push(`-site:${toDomain('excludeSites', site)}`);
+  }
+
+  if (parts.length === 0) {
+    throw new InvalidInputError('Query object must contain at least one non-empty field');
+  }
+
+  return parts.join(' ');
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  compileQuery
+};
@@ -0,0 +1,332 @@
+/**
+ * Readable content extraction turning landing pages into Markdown
+ */
+
+const cheerio = require('cheerio');
+const { normalizeUrl } = require('./utils');
+
+// Elements that never hold readable content
+const NOISE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form',
+  'button', 'input', 'select', 'textarea', 'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]',
+  '[hidden]', '.advert', '.advertisement', '.ads', '.cookie-banner', '.newsletter',
+  '.share', '.social', '.comments', '#comments', '.related'
+].join(', ');
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'div', 'dl', 'figure', 'figcaption', 'main', 'section', 'details', 'summary'
+]);
+
+/**
+ * Resolves a possibly relative URL against the page URL
+ * @param {string} href - URL from an attribute
+ * @param {string} baseUrl - URL of the page
+ * @returns {string} - Absolute URL, or an empty string if it cannot be resolved
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href) {
+    return '';
+  }
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Collapses whitespace in inline text the way a browser would
+ * @param {string} text - Raw text
+ * @returns {string} - Text with runs of whitespace reduced to single spaces
+ */
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+/**
+ * Escapes characters that would otherwise start Markdown formatting
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * Converts the children of an element into inline Markdown
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} node - DOM node
+ * @param {string} baseUrl - URL of the page, used to resolve links and images
+ * @returns {string} - Inline Markdown
+ */
+function inlineMarkdown($, node, baseUrl) {
+  let text = '';
+
+  for (const child of node.children || []) {
+    if (child.type === 'text') {
+      text += escapeMarkdown(collapseWhitespace(child.data));
+      continue;
+    }
+    if (child.type !== 'tag') {
+      continue;
+    }
+
+    const tag = child.name.toLowerCase();
+    const inner = () => inlineMarkdown($, child, baseUrl).trim();
+
+    if (tag === 'br') {
+      text += '  \n';
+    } else if (tag === 'strong' || tag === 'b') {
+      const content = inner();
+      text += content ? `**${content}**` : '';
+    } else if (tag === 'em' || tag === 'i') {
+      const content = inner();
+      text += content ? `_${content}_` : '';
+    } else if (tag === 'code') {
+      const code = $(child).text();
+      text += code ? `\`${code.replace(/`/g, '\'')}\`` : '';
+    } else if (tag === 'a') {
+      const content = inner();
+      const href = resolveUrl($(child).attr('href'), baseUrl);
+      text += href && content && !href.startsWith('javascript:') ? `[${content}](${href})` : content;
+    } else if (tag === 'img') {
+      const src = resolveUrl($(child).attr('src'), baseUrl);
+      text += src ? `![${escapeMarkdown($(child).attr('alt') || '')}](${src})` : '';
+    } else {
+      text += inlineMarkdown($, child, baseUrl);
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Converts an element and its descendants into Markdown blocks
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} node - DOM node
+ * @param {string} baseUrl - URL of the page, used to resolve links and images
+ * @returns {Array<string>} - Markdown blocks, to be joined by blank lines
+ */
+function blockMarkdown($, node, baseUrl) {
+  const blocks = [];
+  let inline = '';
+
+  // Inline content between block elements becomes its own paragraph
+  const flush = () => {
+    const paragraph = inline.replace(/[ \t]+/g, ' ').trim();
+    if (paragraph) {
+      blocks.push(paragraph);
+    }
+    inline = '';
+  };
+
+  for (const child of node.children || []) {
+    if (child.type === 'text') {
+      inline += escapeMarkdown(collapseWhitespace(child.data));
+      continue;
+    }
+    if (child.type !== 'tag') {
+      continue;
+    }
+
+    const tag = child.name.toLowerCase();
+    const heading = /^h([1-6])$/.exec(tag);
+
+    if (heading) {
+      flush();
+      const text = inlineMarkdown($, child, baseUrl).trim();
+      if (text) {
+        blocks.push(`${'#'.repeat(Number(heading[1]))} ${text}`);
+      }
+    } else if (tag === 'p') {
+      flush();
+      const text = inlineMarkdown($, child, baseUrl).replace(/[ \t]+/g, ' ').trim();
+      if (text) {
+        blocks.push(text);
+      }
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush();
+      const items = $(child).children('li').toArray()
+        .map(item => inlineMarkdown($, item, baseUrl).replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .map((item, index) => `${tag === 'ol' ? `${index + 1}.` : '-'} ${item}`);
+      if (items.length > 0) {
+        blocks.push(items.join('\n'));
+      }
+    } else if (tag === 'pre') {
+      flush();
+      blocks.push(`\`\`\`\n${$(child).text().replace(/\n+$/, '')}\n\`\`\``);
+    } else if (tag === 'blockquote') {
+      flush();
+      const quoted = blockMarkdown($, child, baseUrl).join('\n\n');
+      if (quoted) {
+        blocks.push(quoted.split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+      }
+    } else if (tag === 'hr') {
+      flush();
+      blocks.push('---');
+    } else if (tag === 'table') {
+      flush();
+      const rows = $(child).find('tr').toArray()
+        .map(row => $(row).children('th, td').toArray()
+          .map(cell => inlineMarkdown($, cell, baseUrl).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()))
+        .filter(cells => cells.length > 0);
+      if (rows.length > 0) {
+        const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+        lines.splice(1, 0, `| ${rows[0].map(() => '---').join(' | ')} |`);
+        blocks.push(lines.join('\n'));
+      }
+    } else if (BLOCK_TAGS.has(tag)) {
+      flush();
+      blocks.push(...blockMarkdown($, child, baseUrl));
+    } else {
+      inline += inlineMarkdown($, { children: [child] }, baseUrl);
+    }
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Picks the element most likely to hold the main content
+ * Prefers <article> and <main>; otherwise the element with the most paragraph text wins.
+ * @param {Function} $ - Cheerio instance for the page (noise already removed)
+ * @returns {Object} - Cheerio-wrapped content element
+ */
+function findContentRoot($) {
+  const textLength = (element) => $(element).text().replace(/\s+/g, ' ').trim().length;
+
+  const articles = $('article').toArray();
+  if (articles.length > 0) {
+    return $(articles.reduce((best, element) => (textLength(element) > textLength(best) ? element : best)));
+  }
+
+  const main = $('main, [role="main"]').first();
+  if (main.length > 0) {
+    return main;
+  }
+
+  const scores = new Map();
+  $('p').each((index, paragraph) => {
+    const parent = paragraph.parent;
+    if (parent) {
+      scores.set(parent, (scores.get(parent) || 0) + textLength(paragraph));
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    if (score > bestScore) {
+      best = element;
+      bestScore = score;
+    }
+  }
+
+  return best ? $(best) : $('body');
+}
+
+/**
+ * Reads the first non-empty meta tag content among several names or properties
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Array<string>} names - Values of the name or property attribute
+ * @returns {string} - Content, or an empty string
+ */
+function readMeta($, names) {
+  for (const name of names) {
+    const content = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+    if (content && content.trim()) {
+      return content.trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * Extracts the readable article from a landing page
+ * @param {string} html - HTML content of the page
+ * @param {string} pageUrl - URL the page was fetched from
+ * @returns {Object} - { title, byline, publishedAt, canonicalUrl, content }, where content is Markdown
+ */
+function extractArticle(html, pageUrl) {
+  const $ = cheerio.load(html || '');
+
+  const title = readMeta($, ['og:title', 'twitter:title']) ||
+    $('h1').first().text().replace(/\s+/g, ' ').trim() ||
+    $('title').first().text().replace(/\s+/g, ' ').trim();
+
+  const byline = readMeta($, ['author', 'article:author', 'parsely-author']) ||
+    $('[rel="author"], [itemprop="author"], .byline, .author').first().text().replace(/\s+/g, ' ').trim() ||
+    null;
+
+  const published = readMeta($, ['article:published_time', 'datePublished', 'date', 'dc.date']) ||
+    $('time[datetime]').first().attr('datetime') ||
+    '';
+  const publishedTime = Date.parse(published);
+
+  const canonical = resolveUrl($('link[rel="canonical"]').attr('href'), pageUrl) ||
+    readMeta($, ['og:url']) ||
+    pageUrl;
+
+  $(NOISE_SELECTORS).remove();
+
+  const root = findContentRoot($);
+  const blocks = blockMarkdown($, root.get(0) || { children: [] }, pageUrl);
+
+  // The title is rendered separately, so drop a leading heading that repeats it
+  if (blocks.length > 0 && blocks[0].replace(/^#+\s*/, '') === escapeMarkdown(title)) {
+    blocks.shift();
+  }
+
+  return {
+    title: title || '',
+    byline,
+    publishedAt: Number.isFinite(publishedTime) ? new Date(publishedTime).toISOString() : null,
+    canonicalUrl: normalizeUrl(canonical),
+    content: blocks.join('\n\n')
+  };
+}
+
+/**
+ * Renders an extracted article as a Markdown document
+ * The body is cut at a paragraph boundary when it exceeds maxLength characters.
+ * @param {Object} article - Article from extractArticle
+ * @param {Object} options - Render options
+ * @param {number} options.maxLength - Maximum length of the body in characters (default: 20000)
+ * @returns {Object} - { markdown, truncated }
+ */
+function renderMarkdown(article, options = {}) {
+  const { maxLength = 20000 } = options;
+
+  let body = article.content;
+  let truncated = false;
+
+  if (body.length > maxLength) {
+    const cut = body.lastIndexOf('\n\n', maxLength);
+    body = `${body.slice(0, cut > 0 ? cut : maxLength).trimEnd()}\n\n…`;
+    truncated = true;
+  }
+
+  const details = [
+    article.byline && `By ${article.byline}`,
+    article.publishedAt && `Published ${article.publishedAt.slice(0, 10)}`
+  ].filter(Boolean);
+
+  const header = [
+    `# ${article.title || article.canonicalUrl}`,
+    details.length > 0 ? details.join(' · ') : null,
+    `Source: <${article.canonicalUrl}>`
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    markdown: body ? `${header}\n\n${body}\n` : `${header}\n`,
+    truncated
+  };
+}
+
+module.exports = {
+  extractArticle,
+  renderMarkdown
+};
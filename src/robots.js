@@ -0,0 +1,483 @@
+/**
+ * robots.txt parser and matcher following RFC 9309, with a per-host cache
+ */
+
+const { createCache } = require('./cache');
+const { proxyFetch } = require('./proxy');
+const { createAbortError, raceAbort, anySignal } = require('./errors');
+
+// RFC 9309 section 2.5: parsers must handle at least 500 KiB
+const MAX_ROBOTS_SIZE = 500 * 1024;
+
+/**
+ * Extracts the product token from a user agent string
+ * e.g. 'quackfetch/0.1 (+https://example.com)' -> 'quackfetch'
+ * @param {string} userAgent - User agent string
+ * @returns {string} - Lower-cased product token
+ */
+function getProductToken(userAgent) {
+  if (!userAgent || typeof userAgent !== 'string') {
+    return '';
+  }
+
+  const match = userAgent.trim().match(/^[a-zA-Z_-]+/);
+  return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Normalizes a path or pattern so that equivalent percent-encodings compare equal
+ * Non-ASCII characters are percent-encoded and escapes are upper-cased.
+ * @param {string} value - Path or pattern
+ * @returns {string} - Normalized value
+ */
+function normalizeRobotsPath(value) {
+  let normalized = value;
+
+  try {
+    normalized = encodeURI(decodeURI(value));
+  } catch (error) {
+    // Malformed escapes are compared as-is
+  }
+
+  return normalized.replace(/%[0-9a-f]{2}/gi, escape => escape.toUpperCase());
+}
+
+/**
+ * Parses a robots.txt file into user-agent groups
+ * Consecutive user-agent lines share a group; rules that appear before the
+ * first user-agent line are ignored. Unknown keys are skipped.
+ * @param {string} robotsTxt - Content of robots.txt file
+ * @returns {Object} - { groups: [{ userAgents, rules, crawlDelay }], sitemaps }
+ */
+function parseRobotsTxt(robotsTxt) {
+  const robots = {
+    groups: [],
+    sitemaps: []
+  };
+
+  if (!robotsTxt || typeof robotsTxt !== 'string') {
+    return robots;
+  }
+
+  const lines = robotsTxt
+    .slice(0, MAX_ROBOTS_SIZE)
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\r|\n/);
+
+  let currentGroup = null;
+  let lastLineWasUserAgent = false;
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+
+    if (separator === -1) {
+      return;
+    }
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      if (!currentGroup || !lastLineWasUserAgent) {
+        currentGroup = { userAgents: [], rules: [], crawlDelay: null };
+        robots.groups.push(currentGroup);
+      }
+      currentGroup.userAgents.push(value.toLowerCase());
+      lastLineWasUserAgent = true;
+      return;
+    }
+
+    lastLineWasUserAgent = false;
+
+    if (key === 'sitemap') {
+      if (value) {
+        robots.sitemaps.push(value);
+      }
+      return;
+    }
+
+    if (!currentGroup) {
+      return;
+    }
+
+    if (key === 'allow' || key === 'disallow') {
+      // An empty value matches nothing, so it adds no rule
+      if (value) {
+        currentGroup.rules.push({
+          type: key,
+          pattern: normalizeRobotsPath(value),
+          line: index + 1
+        });
+      }
+    } else if (key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) {
+        currentGroup.crawlDelay = delay;
+      }
+    }
+  });
+
+  return robots;
+}
+
+/**
+ * Checks if a path matches a robots.txt path pattern
+ * Supports '*' (any sequence of characters) anywhere in the pattern and a
+ * trailing '$' that anchors the match to the end of the path. The literal parts
+ * between the '*'s are matched left to right, each at its first occurrence, so
+ * hostile patterns such as '/*a*a*a*a*b' cannot make matching backtrack the way
+ * a RegExp would.
+ * @param {string} path - Path to check, including any query string
+ * @param {string} pattern - Rule pattern (e.g. '/search', '/*.pdf$')
+ * @returns {boolean} - True if path matches pattern
+ */
+function matchesRobotsPattern(path, pattern) {
+  if (!path || !pattern) {
+    return false;
+  }
+
+  const normalizedPath = normalizeRobotsPath(path);
+  const normalizedPattern = normalizeRobotsPath(pattern);
+  const anchored = normalizedPattern.endsWith('$');
+  const body = anchored ? normalizedPattern.slice(0, -1) : normalizedPattern;
+  const parts = body.split('*');
+
+  // Without a '*' the pattern is a prefix, or the whole path when anchored
+  if (parts.length === 1) {
+    return anchored ? normalizedPath === body : normalizedPath.startsWith(body);
+  }
+
+  const first = parts[0];
+  const last = parts[parts.length - 1];
+  if (!normalizedPath.startsWith(first)) {
+    return false;
+  }
+
+  // An anchored pattern ends with its last part; an unanchored one may match it anywhere after the rest
+  const end = anchored ? normalizedPath.length - last.length : normalizedPath.length;
+  if (end < first.length || (anchored && !normalizedPath.endsWith(last))) {
+    return false;
+  }
+
+  let position = first.length;
+  for (const part of parts.slice(1, anchored ? -1 : parts.length)) {
+    const index = normalizedPath.indexOf(part, position);
+    if (index === -1 || index + part.length > end) {
+      return false;
+    }
+    position = index + part.length;
+  }
+
+  return true;
+}
+
+/**
+ * Collects the groups that apply to a user agent
+ * Groups naming the agent's product token win over '*' groups; all groups
+ * naming the same agent are merged, as required by RFC 9309.
+ * @param {Object} robots - Parsed robots.txt from parseRobotsTxt()
+ * @param {string} userAgent - User agent string
+ * @returns {Object} - { userAgent, groups } where userAgent is the matched token or null
+ */
+function selectGroups(robots, userAgent) {
+  const token = getProductToken(userAgent);
+  const groups = robots.groups || [];
+
+  const specific = token
+    ? groups.filter(group => group.userAgents.includes(token))
+    : [];
+  if (specific.length > 0) {
+    return { userAgent: token, groups: specific };
+  }
+
+  const wildcard = groups.filter(group => group.userAgents.includes('*'));
+  if (wildcard.length > 0) {
+    return { userAgent: '*', groups: wildcard };
+  }
+
+  return { userAgent: null, groups: [] };
+}
+
+/**
+ * Decides whether a path may be crawled, and explains which rule decided it
+ * The longest matching pattern wins; when an allow and a disallow rule are
+ * equally long, the allow rule wins.
+ * @param {Object} robots - Parsed robots.txt, or a fetched one from a robots cache
+ * @param {string} userAgent - User agent string
+ * @param {string} path - Path to check, including any query string
+ * @returns {Object} - { allowed, rule, userAgent, reason }
+ */
+function evaluateRobots(robots, userAgent, path) {
+  const requestPath = path || '/';
+
+  if (robots.disallowAll) {
+    return { allowed: false, rule: null, userAgent: null, reason: 'unreachable' };
+  }
+
+  if (robots.allowAll) {
+    return { allowed: true, rule: null, userAgent: null, reason: 'unavailable' };
+  }
+
+  // The robots.txt file itself is always crawlable
+  if (requestPath === '/robots.txt') {
+    return { allowed: true, rule: null, userAgent: null, reason: 'robots-txt' };
+  }
+
+  const selection = selectGroups(robots, userAgent);
+  let decidingRule = null;
+
+  for (const group of selection.groups) {
+    for (const rule of group.rules) {
+      if (!matchesRobotsPattern(requestPath, rule.pattern)) {
+        continue;
+      }
+
+      const isLonger = !decidingRule || rule.pattern.length > decidingRule.pattern.length;
+      const winsTie = decidingRule &&
+        rule.pattern.length === decidingRule.pattern.length &&
+        rule.type === 'allow';
+
+      if (isLonger || winsTie) {
+        decidingRule = rule;
+      }
+    }
+  }
+
+  if (!decidingRule) {
+    return { allowed: true, rule: null, userAgent: selection.userAgent, reason: 'no-matching-rule' };
+  }
+
+  return {
+    allowed: decidingRule.type === 'allow',
+    rule: decidingRule,
+    userAgent: selection.userAgent,
+    reason: 'matched-rule'
+  };
+}
+
+/**
+ * Checks whether a path may be crawled
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} userAgent - User agent string
+ * @param {string} path - Path to check
+ * @returns {boolean} - True if access is allowed
+ */
+function isAllowedByRobots(robots, userAgent, path) {
+  return evaluateRobots(robots, userAgent, path).allowed;
+}
+
+/**
+ * Gets the Crawl-delay that applies to a user agent
+ * Crawl-delay is not part of RFC 9309, but is widely used to ask crawlers
+ * to slow down. When merged groups disagree, the largest delay is used.
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} userAgent - User agent string
+ * @returns {number|null} - Delay in seconds, or null if none is set
+ */
+function getCrawlDelay(robots, userAgent) {
+  if (!robots || robots.disallowAll || robots.allowAll) {
+    return null;
+  }
+
+  const delays = selectGroups(robots, userAgent).groups
+    .map(group => group.crawlDelay)
+    .filter(delay => delay !== null);
+
+  return delays.length > 0 ? Math.max(...delays) : null;
+}
+
+/**
+ * Reads a robots.txt body, ignoring whatever follows the first MAX_ROBOTS_SIZE bytes
+ * The rest of the body is never downloaded, and a line cut off at the limit is dropped, so a
+ * truncated rule cannot match more paths than the full one would.
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} - Body text
+ */
+async function readRobotsTxt(response) {
+  if (!response.body) {
+    return '';
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  while (size <= MAX_ROBOTS_SIZE) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    size += value.byteLength;
+  }
+
+  if (size <= MAX_ROBOTS_SIZE) {
+    return new TextDecoder().decode(Buffer.concat(chunks));
+  }
+
+  await reader.cancel();
+  const text = new TextDecoder().decode(Buffer.concat(chunks).subarray(0, MAX_ROBOTS_SIZE));
+  return text.replace(/[^\r\n]*$/, '');
+}
+
+/**
+ * Fetches and parses robots.txt for an origin, applying RFC 9309 status semantics
+ * 2xx responses are parsed, 4xx responses mean there are no restrictions
+ * (allowAll), and 5xx responses or network errors mean the file is
+ * unreachable and everything is disallowed (disallowAll). Only the first 500 KiB are read.
+ * @param {string} baseUrl - Origin (e.g. 'https://duckduckgo.com')
+ * @param {string} userAgent - User agent string
+ * @param {Object} options - Fetch options
+ * @param {number} options.timeout - Request timeout in milliseconds (default: 5000)
+ * @param {string|Array<string>|Object|boolean} options.proxy - Proxy URL, list of proxy URLs or proxy pool
+ * @param {string|Array<string>} options.noProxy - Hosts to reach without the proxy
+ * @param {AbortSignal} options.signal - Cancels the fetch
+ * @returns {Promise<Object>} - Parsed robots.txt with status, fetchedAt and allowAll/disallowAll flags
+ * @throws {QuackfetchError} - AbortedError or TimeoutError when the signal aborts; an aborted
+ *   fetch says nothing about the host, so it does not count as unreachable
+ */
+async function fetchRobots(baseUrl, userAgent, options = {}) {
+  const { timeout = 5000, proxy, noProxy, signal } = options;
+  const robotsUrl = new URL('/robots.txt', baseUrl).toString();
+
+  let response;
+  try {
+    response = await proxyFetch(robotsUrl, {
+      headers: {
+        'User-Agent': userAgent
+      },
+      signal: anySignal([signal, AbortSignal.timeout(timeout)])
+    }, { proxy, noProxy });
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw createAbortError(signal, { url: robotsUrl });
+    }
+    return { groups: [], sitemaps: [], status: null, disallowAll: true, fetchedAt: Date.now() };
+  }
+
+  if (response.status >= 500) {
+    return { groups: [], sitemaps: [], status: response.status, disallowAll: true, fetchedAt: Date.now() };
+  }
+
+  if (response.status >= 400) {
+    return { groups: [], sitemaps: [], status: response.status, allowAll: true, fetchedAt: Date.now() };
+  }
+
+  const robots = parseRobotsTxt(await readRobotsTxt(response));
+  return {
+    ...robots,
+    status: response.status,
+    fetchedAt: Date.now()
+  };
+}
+
+/**
+ * Creates a per-host robots.txt cache
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - TTL for fetched files in milliseconds (default: 86400000 = 24 hours)
+ * @param {number} options.errorTtl - TTL for unreachable (5xx/network error) results (default: 60000)
+ * @param {number} options.maxSize - Maximum number of hosts kept (default: 100)
+ * @param {number} options.timeout - robots.txt request timeout in milliseconds (default: 5000)
+ * @returns {Object} - Robots cache with get, evaluate, isAllowed, clear, getStats methods
+ */
+function createRobotsCache(options = {}) {
+  const {
+    ttl = 86400000,
+    errorTtl = 60000,
+    maxSize = 100,
+    timeout = 5000
+  } = options;
+
+  const cache = createCache({ maxSize, ttl });
+  const pending = new Map();
+
+  return {
+    /**
+     * Gets the robots.txt for an origin, fetching it if it is not cached
+     * Concurrent requests for the same origin share one fetch; a caller's signal only
+     * stops that caller from waiting, the shared fetch keeps running for the others.
+     * @param {string} baseUrl - Origin or any URL on the host
+     * @param {string} userAgent - User agent string used for the fetch
+     * @param {Object} requestOptions - Settings for the fetch ({ proxy, noProxy, signal })
+     * @returns {Promise<Object>} - Robots object (see fetchRobots)
+     */
+    async get(baseUrl, userAgent, requestOptions = {}) {
+      const { signal, ...fetchOptions } = requestOptions;
+      const origin = new URL(baseUrl).origin;
+
+      const cached = cache.get(origin);
+      if (cached) {
+        return cached;
+      }
+
+      if (!pending.has(origin)) {
+        const request = fetchRobots(origin, userAgent, { ...fetchOptions, timeout })
+          .then(robots => {
+            cache.set(origin, robots, robots.disallowAll ? errorTtl : ttl);
+            return robots;
+          })
+          .finally(() => {
+            pending.delete(origin);
+          });
+        pending.set(origin, request);
+      }
+
+      return raceAbort(pending.get(origin), signal);
+    },
+
+    /**
+     * Evaluates a URL against its host's robots.txt
+     * @param {string} url - Absolute URL to check
+     * @param {string} userAgent - User agent string
+     * @param {Object} requestOptions - Settings for the fetch ({ proxy, noProxy, signal })
+     * @returns {Promise<Object>} - Evaluation (see evaluateRobots)
+     */
+    async evaluate(url, userAgent, requestOptions) {
+      const urlObj = new URL(url);
+      const robots = await this.get(urlObj.origin, userAgent, requestOptions);
+      return evaluateRobots(robots, userAgent, urlObj.pathname + urlObj.search);
+    },
+
+    /**
+     * Checks whether a URL may be crawled
+     * @param {string} url - Absolute URL to check
+     * @param {string} userAgent - User agent string
+     * @param {Object} requestOptions - Settings for the fetch ({ proxy, noProxy, signal })
+     * @returns {Promise<boolean>} - True if access is allowed
+     */
+    async isAllowed(url, userAgent, requestOptions) {
+      return (await this.evaluate(url, userAgent, requestOptions)).allowed;
+    },
+
+    /**
+     * Removes all cached robots.txt files
+     */
+    clear() {
+      cache.clear();
+    },
+
+    /**
+     * Get cache statistics
+     * @returns {Object} - Cache stats
+     */
+    getStats() {
+      return {
+        ...cache.getStats(),
+        pending: pending.size,
+        errorTtl: errorTtl
+      };
+    }
+  };
+}
+
+module.exports = {
+  parseRobotsTxt,
+  matchesRobotsPattern,
+  evaluateRobots,
+  isAllowedByRobots,
+  getCrawlDelay,
+  fetchRobots,
+  createRobotsCache,
+  getProductToken
+};
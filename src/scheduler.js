@@ -0,0 +1,234 @@
+/**
+ * Per-host request scheduler with FIFO queueing, concurrency limits and a token bucket
+ */
+
+const { createAbortError } = require('./errors');
+
+/**
+ * Creates a scheduler that runs tasks per host in FIFO order
+ * Each host has its own token bucket: a task may start once a token is
+ * available and fewer than `concurrency` tasks are running for that host.
+ * Tokens refill at one per `intervalMs`, up to `burst` tokens. Idle hosts are forgotten once
+ * their bucket is full again.
+ * @param {Object} options - Scheduler options
+ * @param {number} options.concurrency - Maximum concurrent tasks per host (default: 1)
+ * @param {number} options.burst - Token bucket capacity per host (default: 1)
+ * @returns {Object} - Scheduler with run, getStats, clear methods
+ */
+function createHostScheduler(options = {}) {
+  const {
+    concurrency = 1,
+    burst = 1
+  } = options;
+
+  const hosts = new Map();
+
+  /**
+   * Forgets hosts with nothing queued or running whose bucket has refilled
+   * Such a host would start its next task at once, like a host never seen before, so only its
+   * statistics are lost. Runs whenever a new host shows up, which keeps the map from growing
+   * with every host ever contacted.
+   */
+  function evictIdleHosts() {
+    const now = Date.now();
+
+    for (const [name, state] of hosts) {
+      const refilled = state.intervalMs <= 0 ||
+        state.tokens + (now - state.lastRefill) / state.intervalMs >= burst;
+
+      if (state.queue.length === 0 && state.active === 0 && refilled) {
+        clearTimeout(state.timer);
+        hosts.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Gets or creates the state for a host
+   * @param {string} host - Hostname
+   * @returns {Object} - Host state
+   */
+  function getHostState(host) {
+    if (!hosts.has(host)) {
+      evictIdleHosts();
+      hosts.set(host, {
+        queue: [],
+        active: 0,
+        tokens: burst,
+        lastRefill: Date.now(),
+        intervalMs: 0,
+        timer: null,
+        started: 0,
+        completed: 0,
+        totalWaitMs: 0,
+        maxWaitMs: 0
+      });
+    }
+    return hosts.get(host);
+  }
+
+  /**
+   * Adds tokens earned since the last refill
+   * @param {Object} state - Host state
+   */
+  function refill(state) {
+    const now = Date.now();
+
+    if (state.intervalMs <= 0) {
+      state.tokens = burst;
+    } else {
+      const earned = (now - state.lastRefill) / state.intervalMs;
+      state.tokens = Math.min(burst, state.tokens + earned);
+    }
+
+    state.lastRefill = now;
+  }
+
+  /**
+   * Starts as many queued tasks as tokens and concurrency allow
+   * @param {Object} state - Host state
+   */
+  function pump(state) {
+    while (state.queue.length > 0 && state.active < concurrency) {
+      refill(state);
+
+      if (state.tokens < 1) {
+        // Wake up when the next token is due, unless a wake-up is already pending
+        if (!state.timer) {
+          const waitMs = Math.ceil((1 - state.tokens) * state.intervalMs);
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            pump(state);
+          }, waitMs);
+        }
+        return;
+      }
+
+      state.tokens -= 1;
+      start(state, state.queue.shift());
+    }
+  }
+
+  /**
+   * Runs a dequeued task and records how long it waited
+   * @param {Object} state - Host state
+   * @param {Object} job - Queued job
+   */
+  function start(state, job) {
+    job.started = true;
+    const waitMs = Date.now() - job.enqueuedAt;
+    state.active++;
+    state.started++;
+    state.totalWaitMs += waitMs;
+    state.maxWaitMs = Math.max(state.maxWaitMs, waitMs);
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        state.active--;
+        state.completed++;
+        pump(state);
+      });
+  }
+
+  return {
+    /**
+     * Queues a task for a host and resolves with its result
+     * @param {string} host - Hostname
+     * @param {Function} task - Async function to run
+     * @param {Object} runOptions - Run options
+     * @param {number} runOptions.intervalMs - Minimum milliseconds between task starts (default: 1000)
+     * @param {AbortSignal} runOptions.signal - Removes the task from the queue when aborted before it starts
+     * @returns {Promise<*>} - Result of the task
+     */
+    run(host, task, runOptions = {}) {
+      const { intervalMs = 1000, signal } = runOptions;
+
+      if (signal && signal.aborted) {
+        return Promise.reject(createAbortError(signal));
+      }
+
+      const state = getHostState(host);
+
+      // The most recent caller's interval applies to the host's bucket
+      refill(state);
+      state.intervalMs = intervalMs;
+
+      return new Promise((resolve, reject) => {
+        const job = {
+          task,
+          resolve,
+          reject,
+          enqueuedAt: Date.now(),
+          started: false
+        };
+
+        if (signal) {
+          const onAbort = () => {
+            if (!job.started) {
+              state.queue.splice(state.queue.indexOf(job), 1);
+              reject(createAbortError(signal));
+            }
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+          job.resolve = (value) => {
+            signal.removeEventListener('abort', onAbort);
+            resolve(value);
+          };
+          job.reject = (error) => {
+            signal.removeEventListener('abort', onAbort);
+            reject(error);
+          };
+        }
+
+        state.queue.push(job);
+        pump(state);
+      });
+    },
+
+    /**
+     * Get queue statistics
+     * @param {string} host - Hostname (optional, defaults to all hosts)
+     * @returns {Object} - Stats for the host, or an object keyed by host
+     */
+    getStats(host) {
+      const describe = (state) => ({
+        queued: state.queue.length,
+        active: state.active,
+        completed: state.completed,
+        intervalMs: state.intervalMs,
+        concurrency: concurrency,
+        averageWaitMs: state.started > 0 ? Math.round(state.totalWaitMs / state.started) : 0,
+        maxWaitMs: state.maxWaitMs
+      });
+
+      if (host) {
+        return hosts.has(host) ? describe(hosts.get(host)) : null;
+      }
+
+      const stats = {};
+      for (const [name, state] of hosts) {
+        stats[name] = describe(state);
+      }
+      return stats;
+    },
+
+    /**
+     * Forgets idle hosts and their statistics
+     * Hosts with queued or running tasks are kept.
+     */
+    clear() {
+      for (const [name, state] of hosts) {
+        if (state.queue.length === 0 && state.active === 0) {
+          clearTimeout(state.timer);
+          hosts.delete(name);
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createHostScheduler
+};
@@ -0,0 +1,367 @@
+/**
+ * JSON Schemas of the server's requests, of search results and of server responses,
+ * and a validator for the subset of JSON Schema they use
+ */
+
+const { InvalidInputError } = require('./errors');
+const { SAFE_SEARCH_LEVELS, TIME_RANGES, IMAGE_FILTERS, NEWS_SORT_ORDERS } = require('./utils');
+
+/**
+ * Describes the JSON type of a value in JSON Schema terms
+ * @param {*} value - Value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+// RFC 3339 timestamps such as 2024-05-01T12:00:00.000Z
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+/**
+ * Converts a query-string value to the type a schema expects
+ * Query strings only carry strings, so '5' becomes 5 and 'false' becomes false when the
+ * schema asks for an integer or boolean; anything else is left for validation to reject.
+ * @param {Object} schema - Schema of the value
+ * @param {*} value - Value from the query string
+ * @returns {*} - Converted value
+ */
+function coerceValue(schema, value) {
+  const types = [].concat(schema.type || []);
+  if (typeof value !== 'string' || types.includes('string')) {
+    return value;
+  }
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Validates a value against a JSON Schema
+ * Supports type, enum, minimum, maximum, minLength, maxLength, pattern, format: 'date-time',
+ * properties, required, additionalProperties: false, items and maxItems.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} options - Validation options
+ * @param {boolean} options.coerce - Convert strings from a query string to integers and booleans (default: false)
+ * @param {string} options.path - Name of the value in error messages; properties of the top-level
+ *   object are named on their own, deeper ones by their path such as results[0].url (default: 'value')
+ * @returns {*} - The value, with coerced properties when `coerce` is set
+ * @throws {InvalidInputError} - If the value does not match; `field` names the offending property
+ */
+function validateSchema(schema, value, options = {}) {
+  const { coerce = false, path = 'value' } = options;
+  const propertyPath = name => (options.path ? `${path}.${name}` : name);
+  const fail = (problem) => {
+    throw new InvalidInputError(`Invalid ${path}: ${problem}`, { field: path });
+  };
+
+  if (coerce) {
+    value = coerceValue(schema, value);
+  }
+
+  const type = typeOf(value);
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+    fail(`expected ${types.join(' or ')}, got ${type}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.patternDescription || `must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && !(DATE_TIME_PATTERN.test(value) && Number.isFinite(Date.parse(value)))) {
+      fail(`expected an ISO date-time, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) =>
+        validateSchema(schema.items, item, { coerce, path: `${path}[${index}]` }));
+    }
+  }
+
+  if (type === 'object' && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    const result = { ...value };
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        throw new InvalidInputError(`Missing ${propertyPath(name)}`, { field: propertyPath(name) });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (!properties[name]) {
+        if (schema.additionalProperties === false) {
+          throw new InvalidInputError(`Unknown ${options.path ? 'property' : 'parameter'} ${propertyPath(name)}`,
+            { field: propertyPath(name) });
+        }
+        continue;
+      }
+      result[name] = validateSchema(properties[name], propertyValue, { coerce, path: propertyPath(name) });
+    }
+
+    value = result;
+  }
+
+  return value;
+}
+
+// Properties shared by every search request
+const queryProperties = {
+  q: {
+    description: 'Search terms; JSON bodies may instead send a structured query, e.g. '
+      + '{ "terms": "report", "site": "example.com" }',
+    type: ['string', 'object'],
+    minLength: 1,
+    maxLength: 500,
+    pattern: '\\S',
+    patternDescription: 'must not be blank'
+  },
+  region: {
+    description: 'Region code such as us-en or de-de',
+    type: 'string',
+    pattern: '^[a-zA-Z]{2}-[a-zA-Z]{2}$',
+    patternDescription: 'expected a code like "us-en" or "de-de"'
+  },
+  safeSearch: { type: 'string', enum: SAFE_SEARCH_LEVELS },
+  cache: { description: 'Set to false to bypass the cache', type: 'boolean' }
+};
+
+/**
+ * Builds the schema of a search request
+ * @param {number} maxResults - Largest allowed max
+ * @param {Object} properties - Properties of this kind of search
+ * @returns {Object} - JSON Schema
+ */
+function searchRequestSchema(maxResults, properties) {
+  return {
+    type: 'object',
+    required: ['q'],
+    additionalProperties: false,
+    properties: {
+      ...queryProperties,
+      max: { description: 'Maximum number of results', type: 'integer', minimum: 1, maximum: maxResults },
+      ...properties
+    }
+  };
+}
+
+// Request schemas of the server's search routes, keyed by route
+const REQUEST_SCHEMAS = {
+  search: searchRequestSchema(50, {
+    timeRange: { type: 'string', enum: TIME_RANGES }
+  }),
+  images: searchRequestSchema(100, {
+    size: { type: 'string', enum: IMAGE_FILTERS.size },
+    color: { type: 'string', enum: IMAGE_FILTERS.color },
+    type: { type: 'string', enum: IMAGE_FILTERS.type },
+    layout: { type: 'string', enum: IMAGE_FILTERS.layout }
+  }),
+  news: searchRequestSchema(100, {
+    timeRange: { type: 'string', enum: TIME_RANGES },
+    sortBy: { type: 'string', enum: NEWS_SORT_ORDERS }
+  }),
+  videos: searchRequestSchema(100, {
+    timeRange: { type: 'string', enum: TIME_RANGES }
+  })
+};
+
+const dateTime = (description) => ({ description, type: 'string', format: 'date-time' });
+const nullable = (type, description) => ({ description, type: [type, 'null'] });
+
+// Fields every kind of result shares
+const commonResultProperties = {
+  title: { description: 'Title, "Untitled" when the result has none', type: 'string' },
+  url: { description: 'Normalized URL with tracking parameters removed', type: 'string' },
+  rank: { description: 'Position in the results, starting at 1', type: 'integer', minimum: 1 },
+  retrievedAt: dateTime('When the result was parsed'),
+  cached: { description: 'Present when the result was served from the cache', type: 'boolean' },
+  stale: { description: 'Present when an expired cache entry was served while it is refreshed', type: 'boolean' }
+};
+
+/**
+ * Builds the schema of a kind of result
+ * Results may not carry fields the schema does not describe, so a parser change that adds,
+ * drops or retypes a field has to update the schema too.
+ * @param {Object} properties - Fields of this kind of result, besides the shared ones
+ * @returns {Object} - JSON Schema
+ */
+function resultSchema(properties) {
+  const all = { ...commonResultProperties, ...properties };
+  return {
+    type: 'object',
+    required: Object.keys(all).filter(name => !['cached', 'stale', 'ad'].includes(name)),
+    additionalProperties: false,
+    properties: all
+  };
+}
+
+// Schemas of the results of each kind of search, keyed by kind
+const RESULT_SCHEMAS = {
+  web: resultSchema({
+    snippet: { description: 'Text shown below the title, empty when there is none', type: 'string' },
+    source: { description: 'Domain or display URL of the result', type: 'string' },
+    ad: { description: 'Present on sponsored results, which are ranked separately', type: 'boolean' }
+  }),
+  image: resultSchema({
+    image: { description: 'URL of the full-size image', type: 'string' },
+    thumbnail: { description: 'URL of the thumbnail, empty when there is none', type: 'string' },
+    width: nullable('integer', 'Width in pixels'),
+    height: nullable('integer', 'Height in pixels'),
+    source: { description: 'Domain of the page showing the image', type: 'string' }
+  }),
+  news: resultSchema({
+    excerpt: { description: 'Plain-text excerpt', type: 'string' },
+    publisher: { description: 'Publication name, or the domain when it is unknown', type: 'string' },
+    publishedAt: { ...dateTime('Publication date'), type: ['string', 'null'] },
+    image: nullable('string', 'URL of the article image')
+  }),
+  video: resultSchema({
+    description: { description: 'Plain-text description', type: 'string' },
+    duration: nullable('string', 'Duration as shown, e.g. 4:05'),
+    durationSeconds: nullable('integer', 'Duration in seconds'),
+    publisher: { description: 'Platform, e.g. YouTube, or the domain when it is unknown', type: 'string' },
+    uploader: nullable('string', 'Channel or account that uploaded the video'),
+    viewCount: nullable('integer', 'Number of views'),
+    uploadedAt: { ...dateTime('Upload date'), type: ['string', 'null'] },
+    thumbnail: nullable('string', 'URL of the largest thumbnail')
+  })
+};
+
+/**
+ * Builds the schema of a successful search response
+ * @param {Object} result - Schema of the results
+ * @param {Object} properties - Fields of this kind of response, besides the shared ones
+ * @returns {Object} - JSON Schema
+ */
+function searchResponseSchema(result, properties = {}) {
+  const all = {
+    query: { description: 'The query as sent', type: ['string', 'object'] },
+    results: { type: 'array', items: result },
+    count: { description: 'Number of results', type: 'integer', minimum: 0 },
+    ...properties,
+    timestamp: dateTime('When the response was sent')
+  };
+  return {
+    type: 'object',
+    required: Object.keys(all),
+    additionalProperties: false,
+    properties: all
+  };
+}
+
+// Schemas of the server's responses, keyed by search route, plus error and health responses
+const RESPONSE_SCHEMAS = {
+  search: searchResponseSchema(RESULT_SCHEMAS.web, {
+    ads: { description: 'Sponsored results', type: 'array', items: RESULT_SCHEMAS.web },
+    spelling: {
+      type: 'object',
+      required: ['correctedQuery', 'didYouMean'],
+      additionalProperties: false,
+      properties: {
+        correctedQuery: nullable('string', 'Query DuckDuckGo searched instead of the one sent'),
+        didYouMean: nullable('string', 'Query DuckDuckGo suggests without having searched it')
+      }
+    },
+    zeroClick: {
+      description: 'Info box shown above the results, null when there is none',
+      type: ['object', 'null'],
+      required: ['heading', 'text', 'url', 'source'],
+      additionalProperties: false,
+      properties: {
+        heading: { type: 'string' },
+        text: { type: 'string' },
+        url: { type: 'string' },
+        source: { type: 'string' }
+      }
+    },
+    relatedSearches: { type: 'array', items: { type: 'string' } },
+    hasMore: { description: 'Whether DuckDuckGo offers another page of results', type: 'boolean' }
+  }),
+  images: searchResponseSchema(RESULT_SCHEMAS.image),
+  news: searchResponseSchema(RESULT_SCHEMAS.news),
+  videos: searchResponseSchema(RESULT_SCHEMAS.video),
+  error: {
+    type: 'object',
+    required: ['error', 'code', 'message', 'requestId'],
+    additionalProperties: false,
+    properties: {
+      error: { description: 'Summary, e.g. "Search failed"', type: 'string' },
+      code: { description: 'Machine-readable error code, e.g. INVALID_INPUT or QUOTA_EXCEEDED', type: 'string' },
+      message: { description: 'Details', type: 'string' },
+      field: { description: 'Offending parameter of an invalid request', type: 'string' },
+      requestId: { description: 'ID of the request, as in the X-Request-Id header', type: 'string' }
+    }
+  },
+  health: {
+    type: 'object',
+    required: ['status', 'service', 'proxies'],
+    additionalProperties: false,
+    properties: {
+      status: { type: 'string', enum: ['ok'] },
+      service: { type: 'string', enum: ['quackfetch'] },
+      proxies: {
+        description: 'Health of each configured proxy, null without a proxy list',
+        type: ['array', 'null'],
+        items: {
+          type: 'object',
+          required: ['proxy', 'healthy', 'successes', 'failures', 'consecutiveFailures', 'retryAt'],
+          additionalProperties: false,
+          properties: {
+            proxy: { description: 'Proxy URL with the password redacted', type: 'string' },
+            healthy: { type: 'boolean' },
+            successes: { type: 'integer', minimum: 0 },
+            failures: { type: 'integer', minimum: 0 },
+            consecutiveFailures: { type: 'integer', minimum: 0 },
+            retryAt: { ...dateTime('When a failing proxy is tried again'), type: ['string', 'null'] }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  REQUEST_SCHEMAS,
+  RESULT_SCHEMAS,
+  RESPONSE_SCHEMAS,
+  validateSchema
+};
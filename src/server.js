@@ -0,0 +1,503 @@
+/**
+ * Search API server with API keys, per-key quotas, validated inputs, CORS,
+ * JSON request logs and graceful shutdown
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { createClient } = require('./client');
+const { clientConfig } = require('./config');
+const { compileQuery } = require('./query');
+const { REQUEST_SCHEMAS, validateSchema } = require('./schema');
+const { buildOpenApiSpec } = require('./openapi');
+const {
+  InvalidInputError,
+  TimeoutError,
+  AbortedError,
+  RobotsDisallowedError,
+  HttpStatusError,
+  BlockedError,
+  NetworkError,
+  ResponseTooLargeError,
+  UnsupportedContentTypeError,
+  ParseError
+} = require('./errors');
+
+// HTTP status for each error code; anything else is a 500
+const ERROR_STATUSES = {
+  [InvalidInputError.code]: 400,
+  UNAUTHORIZED: 401,
+  [RobotsDisallowedError.code]: 403,
+  NOT_FOUND: 404,
+  QUOTA_EXCEEDED: 429,
+  [BlockedError.code]: 429,
+  [HttpStatusError.code]: 502,
+  [NetworkError.code]: 502,
+  [ParseError.code]: 502,
+  [ResponseTooLargeError.code]: 502,
+  [UnsupportedContentTypeError.code]: 502,
+  SHUTTING_DOWN: 503,
+  [TimeoutError.code]: 504
+};
+
+// Client-supplied request IDs are kept when they look like IDs, so they can't inject into logs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Quota counters kept before expired windows are swept
+const MAX_QUOTA_ENTRIES = 10000;
+
+/**
+ * Search routes: the client method behind each and how its results become the response
+ */
+const SEARCH_ROUTES = {
+  search: {
+    label: 'Search',
+    run: (client, query, options) => client.search(query, { ...options, fullPage: true }),
+    respond: page => ({ ...page, count: page.results.length })
+  },
+  images: {
+    label: 'Image search',
+    run: (client, query, options) => client.searchImages(query, options),
+    respond: results => ({ results, count: results.length })
+  },
+  news: {
+    label: 'News search',
+    run: (client, query, options) => client.searchNews(query, options),
+    respond: results => ({ results, count: results.length })
+  },
+  videos: {
+    label: 'Video search',
+    run: (client, query, options) => client.searchVideos(query, options),
+    respond: results => ({ results, count: results.length })
+  }
+};
+
+/**
+ * Writes a log entry as one line of JSON to stdout
+ * @param {Object} entry - Log entry
+ */
+function writeJsonLog(entry) {
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Hashes an API key, so keys are looked up without comparing secrets character by character
+ * @param {string} key - API key
+ * @returns {string} - Hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Normalizes the apiKeys option into a lookup table
+ * @param {string|Array<string|Object>} apiKeys - Keys, or { key, name, quota } entries
+ * @returns {Map<string, Object>} - Entries { name, quota } by key hash
+ * @throws {InvalidInputError} - If an entry has no key
+ */
+function buildKeyTable(apiKeys) {
+  const table = new Map();
+
+  [].concat(apiKeys || []).forEach((entry, index) => {
+    const { key, name = `key-${index + 1}`, quota } = typeof entry === 'string' ? { key: entry } : entry;
+    if (typeof key !== 'string' || !key) {
+      throw new InvalidInputError(`API key ${index + 1} is empty`);
+    }
+    table.set(hashKey(key), { name, quota });
+  });
+
+  return table;
+}
+
+/**
+ * Reads the API key of a request from `Authorization: Bearer <key>` or `X-API-Key`
+ * @param {Object} req - Express request
+ * @returns {string|null} - Key, or null if none was sent
+ */
+function readApiKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+  return match ? match[1] : req.get('X-API-Key') || null;
+}
+
+/**
+ * Creates the client of a server from the search settings among its options
+ * @param {Object} options - Server options
+ * @returns {Object} - Client
+ */
+function createSearchClient(options) {
+  const config = clientConfig(options);
+  delete config.logger;
+  delete config.trustProxy;
+  return createClient(config);
+}
+
+/**
+ * Creates the search API server
+ * Options are the server settings of loadConfig(); the search settings among them configure the
+ * client unless one is given. Without API keys the search routes are open and quotas count per IP.
+ * @param {Object} options - Server options
+ * @param {Object} options.client - Client to search with (default: createClient() with the search settings)
+ * @param {string|Array<string|Object>} options.apiKeys - Accepted keys, or { key, name, quota } entries;
+ *   the name identifies the caller in logs (default: none, authentication disabled)
+ * @param {number} options.quota - Requests per key and window; 0 for no limit (default: 60)
+ * @param {number} options.quotaWindow - Quota window in milliseconds (default: 60000)
+ * @param {string|Array<string>} options.corsOrigins - Origins allowed to call the API from browsers,
+ *   or '*' for any (default: none)
+ * @param {number} options.shutdownTimeout - Milliseconds close() waits for running searches before
+ *   cancelling them (default: 10000)
+ * @param {Function|boolean} options.logger - Receives one object per request; false disables logging
+ *   (default: JSON lines on stdout)
+ * @param {boolean|number|string} options.trustProxy - Express trust proxy setting, for client IPs
+ *   behind a reverse proxy (default: false)
+ * @returns {Object} - { app, listen, close, getStats }
+ */
+function createServer(options = {}) {
+  const {
+    apiKeys,
+    quota = 60,
+    quotaWindow = 60000,
+    corsOrigins,
+    shutdownTimeout = 10000,
+    logger = writeJsonLog,
+    trustProxy = false
+  } = options;
+
+  const client = options.client || createSearchClient(options);
+  const keys = buildKeyTable(apiKeys);
+  const origins = [].concat(corsOrigins || []);
+  const log = typeof logger === 'function' ? logger : () => {};
+
+  // Quota windows by caller: { count, resetAt }
+  const quotaCounters = new Map();
+
+  // Requests being handled: { controller, done }
+  const active = new Set();
+
+  let server = null;
+  let closing = null;
+  let draining = false;
+
+  const app = express();
+  app.disable('x-powered-by');
+  app.set('trust proxy', trustProxy);
+
+  /**
+   * Sends an error response
+   * @param {Object} res - Express response
+   * @param {string} code - Error code
+   * @param {string} error - Summary, e.g. 'Search failed'
+   * @param {string} message - Details
+   * @param {Object} extra - Additional fields, e.g. { field }
+   */
+  function sendError(res, code, error, message, extra = {}) {
+    res.locals.errorCode = code;
+    res.status(ERROR_STATUSES[code] || 500).json({
+      error,
+      code,
+      message,
+      ...extra,
+      requestId: res.locals.requestId
+    });
+  }
+
+  // Request IDs and one log entry per request
+  app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    const incoming = req.get('X-Request-Id');
+    res.locals.requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', res.locals.requestId);
+
+    res.on('close', () => {
+      const status = res.writableFinished ? res.statusCode : null;
+      log({
+        time: new Date().toISOString(),
+        level: status >= 500 ? 'error' : status === null || status >= 400 ? 'warn' : 'info',
+        requestId: res.locals.requestId,
+        method: req.method,
+        path: req.path,
+        status,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+        caller: res.locals.caller || null,
+        ...(res.locals.errorCode ? { code: res.locals.errorCode } : {}),
+        ...(res.locals.errorMessage ? { message: res.locals.errorMessage } : {}),
+        ...(status === null ? { aborted: true } : {})
+      });
+    });
+
+    next();
+  });
+
+  // CORS for the configured origins only
+  app.use((req, res, next) => {
+    const origin = req.get('Origin');
+
+    if (origin && (origins.includes('*') || origins.includes(origin))) {
+      res.set('Access-Control-Allow-Origin', origins.includes('*') ? '*' : origin);
+      res.set('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset');
+      if (!origins.includes('*')) {
+        res.vary('Origin');
+      }
+    }
+
+    if (req.method === 'OPTIONS') {
+      if (res.get('Access-Control-Allow-Origin')) {
+        res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Request-Id');
+        res.set('Access-Control-Max-Age', '600');
+      }
+      return res.sendStatus(204);
+    }
+    next();
+  });
+
+  // Refuse new work while shutting down, so load balancers move traffic elsewhere
+  app.use((req, res, next) => {
+    if (draining) {
+      res.set('Connection', 'close');
+      return sendError(res, 'SHUTTING_DOWN', 'Server is shutting down', 'Retry the request on another instance');
+    }
+    next();
+  });
+
+  /**
+   * Health check, open without an API key; while draining, the middleware above answers 503
+   */
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', service: 'quackfetch', proxies: client.getProxyStats() });
+  });
+
+  // OpenAPI description, open without an API key so clients can be generated from it
+  const openApiSpec = buildOpenApiSpec({ auth: keys.size > 0 });
+  app.get('/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+  });
+
+  // API key authentication
+  app.use((req, res, next) => {
+    if (keys.size === 0) {
+      res.locals.caller = null;
+      res.locals.quotaKey = `ip:${req.ip}`;
+      return next();
+    }
+
+    const key = readApiKey(req);
+    const entry = key ? keys.get(hashKey(key)) : null;
+    if (!entry) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(res, 'UNAUTHORIZED', 'Unauthorized',
+        key ? 'Unknown API key' : 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key"');
+    }
+
+    res.locals.caller = entry.name;
+    res.locals.quotaKey = `key:${entry.name}`;
+    res.locals.quota = entry.quota;
+    next();
+  });
+
+  // Fixed-window request quota per key, or per IP without keys
+  app.use((req, res, next) => {
+    const limit = res.locals.quota !== undefined ? res.locals.quota : quota;
+    if (!limit) {
+      return next();
+    }
+
+    const now = Date.now();
+    if (quotaCounters.size >= MAX_QUOTA_ENTRIES) {
+      for (const [id, window] of quotaCounters) {
+        if (window.resetAt <= now) {
+          quotaCounters.delete(id);
+        }
+      }
+    }
+
+    let window = quotaCounters.get(res.locals.quotaKey);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + quotaWindow };
+      quotaCounters.set(res.locals.quotaKey, window);
+    }
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (window.count >= limit) {
+      res.set('RateLimit-Remaining', '0');
+      res.set('Retry-After', String(resetSeconds));
+      return sendError(res, 'QUOTA_EXCEEDED', 'Quota exceeded',
+        `At most ${limit} requests per ${quotaWindow / 1000} seconds`);
+    }
+
+    window.count++;
+    res.set('RateLimit-Remaining', String(limit - window.count));
+    next();
+  });
+
+  // Bodies are parsed only for authenticated callers within their quota
+  app.use(express.json({ limit: '16kb' }));
+
+  /**
+   * Handles a search route for GET (query string) and POST (JSON body) alike
+   * Both accept the same parameters; `query` is accepted as an alias of `q`.
+   * @param {string} name - Route name, a key of SEARCH_ROUTES
+   * @returns {Function} - Express handler
+   */
+  function searchHandler(name) {
+    const route = SEARCH_ROUTES[name];
+
+    return async (req, res) => {
+      const raw = { ...(req.method === 'GET' ? req.query : req.body) };
+      if (raw.q === undefined && raw.query !== undefined) {
+        raw.q = raw.query;
+        delete raw.query;
+      }
+
+      let input;
+      try {
+        if (req.method === 'POST' && (!req.body || typeof req.body !== 'object' || Array.isArray(req.body))) {
+          throw new InvalidInputError('Expected a JSON object body with Content-Type: application/json');
+        }
+        input = validateSchema(REQUEST_SCHEMAS[name], raw, { coerce: req.method === 'GET' });
+        compileQuery(input.q);
+      } catch (error) {
+        return sendError(res, InvalidInputError.code, 'Invalid request', error.message,
+          error.field ? { field: error.field } : {});
+      }
+
+      const { q, cache, ...filters } = input;
+      const controller = new AbortController();
+      const job = { controller };
+      job.done = new Promise(resolve => {
+        job.finish = resolve;
+      });
+      active.add(job);
+
+      // Cancel upstream work when the client disconnects before the response is sent
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          controller.abort();
+        }
+      });
+
+      try {
+        const results = await route.run(client, q, {
+          ...filters,
+          useCache: cache !== false,
+          signal: controller.signal
+        });
+
+        res.json({ query: q, ...route.respond(results), timestamp: new Date().toISOString() });
+      } catch (error) {
+        res.locals.errorMessage = error.message;
+
+        if (error.code === AbortedError.code && draining) {
+          sendError(res, 'SHUTTING_DOWN', `${route.label} cancelled`, 'The server shut down before the search finished');
+        } else if (error.code === AbortedError.code) {
+          // The client went away; nobody is left to answer
+          res.locals.errorCode = error.code;
+        } else {
+          if (error.code === BlockedError.code && error.retryAfter) {
+            res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+          }
+          sendError(res, error.code || 'INTERNAL_ERROR', `${route.label} failed`, error.message);
+        }
+      } finally {
+        active.delete(job);
+        job.finish();
+      }
+    };
+  }
+
+  for (const name of Object.keys(SEARCH_ROUTES)) {
+    app.get(`/${name}`, searchHandler(name));
+    app.post(`/${name}`, searchHandler(name));
+  }
+
+  app.use((req, res) => {
+    sendError(res, 'NOT_FOUND', 'Not found', `No route for ${req.method} ${req.path}`);
+  });
+
+  // Malformed JSON bodies and other errors raised before a route ran
+  app.use((error, req, res, _next) => {
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+      return sendError(res, InvalidInputError.code, 'Invalid request', error.message);
+    }
+    res.locals.errorMessage = error.message;
+    sendError(res, 'INTERNAL_ERROR', 'Internal error', 'The request could not be handled');
+  });
+
+  return {
+    app,
+
+    /**
+     * Starts listening
+     * @param {number} port - Port; 0 picks a free one (default: 3000)
+     * @param {string} host - Address to listen on (default: all interfaces)
+     * @returns {Promise<Object>} - The http.Server, once it listens
+     */
+    listen(port = 3000, host = undefined) {
+      return new Promise((resolve, reject) => {
+        const listener = app.listen(port, host, () => {
+          listener.off('error', reject);
+          server = listener;
+          resolve(listener);
+        });
+        listener.once('error', reject);
+      });
+    },
+
+    /**
+     * Stops the server gracefully
+     * New requests get 503 while running searches finish; searches still running after
+     * shutdownTimeout are cancelled and answered with 503. Resolves once every connection is closed.
+     * @returns {Promise<void>}
+     */
+    close() {
+      if (closing) {
+        return closing;
+      }
+      draining = true;
+
+      closing = (async () => {
+        const closed = server
+          ? new Promise(resolve => server.close(() => resolve()))
+          : Promise.resolve();
+        if (server) {
+          server.closeIdleConnections();
+        }
+
+        const timer = setTimeout(() => {
+          for (const job of active) {
+            job.controller.abort();
+          }
+        }, shutdownTimeout);
+
+        await Promise.all([...active].map(job => job.done));
+        clearTimeout(timer);
+
+        if (server) {
+          server.closeIdleConnections();
+        }
+        await closed;
+      })();
+
+      return closing;
+    },
+
+    /**
+     * Get server statistics
+     * @returns {Object} - { activeRequests, draining, trackedQuotas }
+     */
+    getStats() {
+      return {
+        activeRequests: active.size,
+        draining,
+        trackedQuotas: quotaCounters.size
+      };
+    }
+  };
+}
+
+module.exports = {
+  createServer
+};
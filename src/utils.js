@@ -2,6 +2,10 @@
  * Utility functions for URL normalization, robots.txt checking, and other helpers
  */
 
+const { parseRobotsTxt, matchesRobotsPattern, isAllowedByRobots } = require('./robots');
+const { proxyFetch } = require('./proxy');
+const { InvalidInputError, createAbortError, anySignal } = require('./errors');
+
 /**
  * Normalizes a URL by removing tracking parameters and cleaning it up
  * @param {string} url - The URL to normalize
@@ -39,127 +43,193 @@ function normalizeUrl(url) {
   }
 }
 
+// Accepted values for the search filter options
+const SAFE_SEARCH_LEVELS = ['strict', 'moderate', 'off'];
+const TIME_RANGES = ['day', 'week', 'month', 'year'];
+
 /**
- * Checks if a robots.txt file allows access to a given path
- * This is a simplified check - in production, you'd want a more robust parser
- * @param {string} robotsTxt - Content of robots.txt file
- * @param {string} userAgent - User agent string
- * @param {string} path - Path to check (e.g., '/search')
- * @returns {boolean} - True if access is allowed, false otherwise
+ * Validates region, safe-search and time-range search filters
+ * @param {Object} filters - Search filters
+ * @param {string} filters.region - Region code such as 'de-de' or 'wt-wt'
+ * @param {string} filters.safeSearch - One of 'strict', 'moderate', 'off'
+ * @param {string} filters.timeRange - One of 'day', 'week', 'month', 'year'
+ * @throws {InvalidInputError} - If any filter has an invalid value
  */
-function checkRobotsTxt(robotsTxt, userAgent, path) {
-  if (!robotsTxt || typeof robotsTxt !== 'string') {
-    // If no robots.txt, assume access is allowed
-    return true;
+function validateSearchFilters(filters = {}) {
+  const { region, safeSearch, timeRange } = filters;
+
+  if (region !== undefined && (typeof region !== 'string' || !/^[a-z]{2}-[a-z]{2}$/i.test(region))) {
+    throw new InvalidInputError(`Invalid region "${region}": expected a code like "us-en" or "de-de"`);
   }
 
-  const lines = robotsTxt.split('\n').map(line => line.trim());
-  let currentUserAgent = null;
-  let disallowRules = [];
-  let allowRules = [];
+  if (safeSearch !== undefined && !SAFE_SEARCH_LEVELS.includes(safeSearch)) {
+    throw new InvalidInputError(`Invalid safeSearch "${safeSearch}": expected one of ${SAFE_SEARCH_LEVELS.join(', ')}`);
+  }
 
-  for (const line of lines) {
-    const lowerLine = line.toLowerCase();
-    
-    if (lowerLine.startsWith('user-agent:')) {
-      const agent = line.substring(11).trim();
-      if (agent === '*' || userAgent.includes(agent)) {
-        currentUserAgent = agent;
-        disallowRules = [];
-        allowRules = [];
-      } else {
-        currentUserAgent = null;
-      }
-    } else if (currentUserAgent !== null) {
-      if (lowerLine.startsWith('disallow:')) {
-        const rule = line.substring(9).trim();
-        if (rule) {
-          disallowRules.push(rule);
-        } else {
-          // Empty disallow means allow all
-          disallowRules = [];
-        }
-      } else if (lowerLine.startsWith('allow:')) {
-        const rule = line.substring(6).trim();
-        if (rule) {
-          allowRules.push(rule);
-        }
-      }
-    }
+  if (timeRange !== undefined && !TIME_RANGES.includes(timeRange)) {
+    throw new InvalidInputError(`Invalid timeRange "${timeRange}": expected one of ${TIME_RANGES.join(', ')}`);
   }
+}
+
+// Accepted values for the image search filter options
+const IMAGE_FILTERS = {
+  size: ['small', 'medium', 'large', 'wallpaper'],
+  color: [
+    'color', 'monochrome', 'red', 'orange', 'yellow', 'green', 'blue',
+    'purple', 'pink', 'brown', 'black', 'gray', 'teal', 'white'
+  ],
+  type: ['photo', 'clipart', 'gif', 'transparent', 'line'],
+  layout: ['square', 'tall', 'wide']
+};
 
-  // Check if path matches any disallow rule
-  for (const rule of disallowRules) {
-    if (pathMatchesRule(path, rule)) {
-      // Check if there's an allow rule that overrides
-      const hasAllowOverride = allowRules.some(allowRule => pathMatchesRule(path, allowRule));
-      if (!hasAllowOverride) {
-        return false;
-      }
+/**
+ * Validates size, color, type and layout image search filters
+ * @param {Object} filters - Image filters
+ * @param {string} filters.size - One of 'small', 'medium', 'large', 'wallpaper'
+ * @param {string} filters.color - 'color', 'monochrome' or a color name such as 'red'
+ * @param {string} filters.type - One of 'photo', 'clipart', 'gif', 'transparent', 'line'
+ * @param {string} filters.layout - One of 'square', 'tall', 'wide'
+ * @throws {InvalidInputError} - If any filter has an invalid value
+ */
+function validateImageFilters(filters = {}) {
+  for (const [name, values] of Object.entries(IMAGE_FILTERS)) {
+    const value = filters[name];
+    if (value !== undefined && !values.includes(value)) {
+      throw new InvalidInputError(`Invalid ${name} "${value}": expected one of ${values.join(', ')}`);
     }
   }
-
-  return true;
 }
 
+// Accepted values for the news sortBy option
+const NEWS_SORT_ORDERS = ['relevance', 'date'];
+
 /**
- * Checks if a path matches a robots.txt rule pattern
- * @param {string} path - Path to check
- * @param {string} rule - Rule pattern (e.g., '/search' or '/search*')
- * @returns {boolean} - True if path matches rule
+ * Validates the news search sort order
+ * @param {Object} options - News search options
+ * @param {string} options.sortBy - One of 'relevance', 'date'
+ * @throws {InvalidInputError} - If the sort order is invalid
  */
-function pathMatchesRule(path, rule) {
-  if (!rule || !path) {
-    return false;
-  }
+function validateNewsOptions(options = {}) {
+  const { sortBy } = options;
 
-  // Exact match
-  if (path === rule) {
-    return true;
+  if (sortBy !== undefined && !NEWS_SORT_ORDERS.includes(sortBy)) {
+    throw new InvalidInputError(`Invalid sortBy "${sortBy}": expected one of ${NEWS_SORT_ORDERS.join(', ')}`);
   }
+}
 
-  // Wildcard match
-  if (rule.endsWith('*')) {
-    const prefix = rule.slice(0, -1);
-    return path.startsWith(prefix);
+/**
+ * Validates a concurrency option such as queryConcurrency
+ * @param {string} name - Option name, for the error message
+ * @param {*} value - Option value
+ * @throws {InvalidInputError} - If the value is not a whole number of at least 1
+ */
+function validateConcurrency(name, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new InvalidInputError(`Invalid ${name} "${value}": expected a whole number of at least 1`);
   }
+}
 
-  // Prefix match (common in robots.txt)
-  if (path.startsWith(rule)) {
+/**
+ * Checks if a robots.txt file allows access to a given path
+ * Kept for compatibility; see robots.js for the full RFC 9309 engine
+ * @param {string} robotsTxt - Content of robots.txt file
+ * @param {string} userAgent - User agent string
+ * @param {string} path - Path to check (e.g., '/search')
+ * @returns {boolean} - True if access is allowed, false otherwise
+ */
+function checkRobotsTxt(robotsTxt, userAgent, path) {
+  if (!robotsTxt || typeof robotsTxt !== 'string') {
+    // If no robots.txt, assume access is allowed
     return true;
   }
 
-  return false;
+  return isAllowedByRobots(parseRobotsTxt(robotsTxt), userAgent, path);
+}
+
+/**
+ * Checks if a path matches a robots.txt rule pattern
+ * Kept for compatibility; see matchesRobotsPattern in robots.js
+ * @param {string} path - Path to check
+ * @param {string} rule - Rule pattern (e.g., '/search', '/search*' or '/*.pdf$')
+ * @returns {boolean} - True if path matches rule
+ */
+function pathMatchesRule(path, rule) {
+  return matchesRobotsPattern(path, rule);
 }
 
 /**
  * Fetches robots.txt for a given domain
  * @param {string} baseUrl - Base URL (e.g., 'https://duckduckgo.com')
  * @param {string} userAgent - User agent string
+ * @param {Object} options - Fetch options
+ * @param {string|Array<string>|Object|boolean} options.proxy - Proxy (see resolveProxy)
+ * @param {string|Array<string>} options.noProxy - Hosts to reach without the proxy
+ * @param {AbortSignal} options.signal - Cancels the fetch
+ * @param {number} options.deadline - Milliseconds the fetch may take (default: 5000)
  * @returns {Promise<string|null>} - robots.txt content or null if not found/error
+ * @throws {QuackfetchError} - AbortedError when the signal aborts
  */
-async function fetchRobotsTxt(baseUrl, userAgent) {
+async function fetchRobotsTxt(baseUrl, userAgent, options = {}) {
+  const { proxy, noProxy, signal, deadline = 5000 } = options;
+
   try {
     const robotsUrl = new URL('/robots.txt', baseUrl).toString();
-    const response = await fetch(robotsUrl, {
+    const response = await proxyFetch(robotsUrl, {
       headers: {
         'User-Agent': userAgent
       },
-      signal: AbortSignal.timeout(5000) // 5 second timeout
-    });
+      signal: anySignal([signal, AbortSignal.timeout(deadline)])
+    }, { proxy, noProxy });
 
     if (response.ok) {
       return await response.text();
     }
     return null;
   } catch (error) {
+    // A cancelled fetch says nothing about the host, so the caller hears about it
+    if (signal && signal.aborted) {
+      throw createAbortError(signal);
+    }
     // Silently fail - if robots.txt can't be fetched, assume access is allowed
     return null;
   }
 }
 
+/**
+ * Maps items through an async function with at most `limit` calls running at once
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in the order of items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
 module.exports = {
+  SAFE_SEARCH_LEVELS,
+  TIME_RANGES,
+  IMAGE_FILTERS,
+  NEWS_SORT_ORDERS,
   normalizeUrl,
+  validateSearchFilters,
+  validateImageFilters,
+  validateNewsOptions,
+  validateConcurrency,
+  mapWithConcurrency,
   checkRobotsTxt,
   fetchRobotsTxt,
   pathMatchesRule
@@ -0,0 +1,126 @@
+/**
+ * Tests for cache.js
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createCache, createFileStore } = require('../src/cache');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('cache', () => {
+  describe('createCache', () => {
+    it('should get, set, delete and clear entries', () => {
+      const cache = createCache({ maxSize: 10, ttl: 60000 });
+
+      cache.set('a', 1);
+      cache.set('b', 2);
+      expect(cache.get('a')).toBe(1);
+      expect(cache.has('b')).toBe(true);
+
+      expect(cache.delete('a')).toBe(true);
+      expect(cache.has('a')).toBe(false);
+
+      cache.clear();
+      expect(cache.getStats().size).toBe(0);
+    });
+
+    it('should honor per-entry TTL', async () => {
+      const cache = createCache({ ttl: 60000 });
+
+      cache.set('short', 'value', 5);
+      await sleep(20);
+
+      expect(cache.get('short')).toBeUndefined();
+    });
+  });
+
+  describe('createFileStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'quackfetch-cache-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should require a directory', () => {
+      expect(() => createFileStore()).toThrow('directory');
+    });
+
+    it('should persist entries across store instances', async () => {
+      const first = createFileStore({ directory });
+      await first.set('search:node', [{ title: 'Node.js' }]);
+
+      const second = createFileStore({ directory });
+      expect(await second.get('search:node')).toEqual([{ title: 'Node.js' }]);
+      expect(await second.has('search:node')).toBe(true);
+      expect(await second.has('search:deno')).toBe(false);
+    });
+
+    it('should expire entries on read', async () => {
+      const store = createFileStore({ directory, ttl: 5 });
+      await store.set('key', 'value');
+      await sleep(20);
+
+      expect(await store.get('key')).toBeUndefined();
+      expect((await store.getStats()).size).toBe(0);
+    });
+
+    it('should delete and clear entries', async () => {
+      const store = createFileStore({ directory });
+      await store.set('a', 1);
+      await store.set('b', 2);
+
+      expect(await store.delete('a')).toBe(true);
+      expect(await store.delete('a')).toBe(false);
+      expect((await store.getStats()).size).toBe(1);
+
+      await store.clear();
+      expect(await store.get('b')).toBeUndefined();
+    });
+
+    it('should leave files that are not cache entries alone', async () => {
+      const store = createFileStore({ directory });
+      await store.set('key', 'value');
+      await fs.writeFile(path.join(directory, 'package.json'), '{}');
+      const leftover = `${'a'.repeat(64)}.json.123.0123456789ab.tmp`;
+      await fs.writeFile(path.join(directory, leftover), '{');
+
+      expect((await store.getStats()).size).toBe(1);
+
+      await store.clear();
+      expect(await fs.readdir(directory)).toEqual(['package.json']);
+      expect((await store.getStats()).size).toBe(0);
+    });
+
+    it('should survive concurrent writes to the same key', async () => {
+      const stores = Array.from({ length: 5 }, () => createFileStore({ directory }));
+
+      await Promise.all(stores.map((store, index) => store.set('shared', { writer: index })));
+
+      const value = await stores[0].get('shared');
+      expect(value.writer).toBeGreaterThanOrEqual(0);
+      expect(value.writer).toBeLessThan(5);
+
+      // No temporary files are left behind
+      const files = await fs.readdir(directory);
+      expect(files.filter(file => file.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should treat corrupt entry files as missing', async () => {
+      const store = createFileStore({ directory });
+      await store.set('key', 'value');
+
+      const [file] = await fs.readdir(directory);
+      await fs.writeFile(path.join(directory, file), '{ not json');
+
+      expect(await store.get('key')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for the command-line argument parser and commands in bin/quackfetch
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../src/cache');
+const { parseArgs, helpText, COMMANDS } = require('../bin/quackfetch');
+const { InvalidInputError } = require('../src/errors');
+
+describe('cli', () => {
+  describe('parseArgs', () => {
+    it('should treat arguments without a command as a web search', () => {
+      const options = parseArgs(['node.js', 'streams', '--max', '5', '--exclude', 'a', '--exclude=b']);
+
+      expect(options.command).toBe('search');
+      expect(options.query).toBe('node.js streams');
+      expect(options.max).toBe(5);
+      expect(options.exclude).toEqual(['a', 'b']);
+      expect(options.format).toBe('json');
+      expect(options.useCache).toBe(true);
+    });
+
+    it('should parse subcommands and their arguments', () => {
+      expect(parseArgs(['news', 'release', '--sort', 'date'])).toMatchObject({
+        command: 'news', query: 'release', sortBy: 'date'
+      });
+      expect(parseArgs(['cache', 'clear', '--cache-dir', '/tmp/cache'])).toMatchObject({
+        command: 'cache', action: 'clear', cacheDir: '/tmp/cache'
+      });
+      expect(parseArgs(['serve', '-p', '8080'])).toMatchObject({ command: 'serve', port: 8080 });
+      expect(parseArgs(['batch'])).toMatchObject({ command: 'batch', input: '-' });
+      expect(parseArgs(['robots', 'https://example.com/a'])).toMatchObject({
+        command: 'robots', url: 'https://example.com/a', format: 'text'
+      });
+      expect(parseArgs(['parse', 'page.html', '--fields', 'rank, url'])).toMatchObject({
+        command: 'parse', file: 'page.html', fields: ['rank', 'url']
+      });
+    });
+
+    it('should search for a command name after --', () => {
+      expect(parseArgs(['search', '--', 'cache'])).toMatchObject({ command: 'search', query: 'cache' });
+    });
+
+    it('should reject unknown options and options of other commands', () => {
+      expect(() => parseArgs(['duck', '--bogus'])).toThrow('Unknown option --bogus');
+      expect(() => parseArgs(['duck', '--port', '80'])).toThrow('does not apply to the search command');
+      expect(() => parseArgs(['robots', 'https://example.com', '--max', '3'])).toThrow(InvalidInputError);
+    });
+
+    it('should validate option values', () => {
+      expect(() => parseArgs(['duck', '--max', 'ten'])).toThrow('--max expects a whole number');
+      expect(() => parseArgs(['duck', '--max', '0'])).toThrow(InvalidInputError);
+      expect(() => parseArgs(['serve', '--port', '70000'])).toThrow('between 0 and 65535');
+      expect(() => parseArgs(['duck', '--format', 'xml'])).toThrow('--format expects');
+      expect(() => parseArgs(['robots', 'https://example.com', '--format', 'csv'])).toThrow('text, json');
+      expect(() => parseArgs(['duck', '--max'])).toThrow('needs a value');
+      expect(() => parseArgs(['duck', '--no-cache=yes'])).toThrow('does not take a value');
+    });
+
+    it('should reject missing and extra arguments', () => {
+      expect(() => parseArgs([])).toThrow('Missing argument "query"');
+      expect(() => parseArgs(['parse'])).toThrow('Missing argument <file.html>');
+      expect(() => parseArgs(['cache', 'purge'])).toThrow('Expected stats|clear');
+      expect(() => parseArgs(['robots', 'https://a.example', 'https://b.example'])).toThrow('Unexpected argument');
+    });
+
+    it('should ask for help without requiring arguments', () => {
+      expect(parseArgs(['--help'])).toMatchObject({ command: null, help: true });
+      expect(parseArgs(['robots', '-h'])).toMatchObject({ command: 'robots', help: true });
+      expect(parseArgs(['help', 'parse'])).toEqual({ command: 'parse', help: true });
+      expect(() => parseArgs(['help', 'fly'])).toThrow('Unknown command "fly"');
+    });
+  });
+
+  describe('helpText', () => {
+    it('should list every command in the overview', () => {
+      const text = helpText(null);
+      for (const name of Object.keys(COMMANDS)) {
+        expect(text).toContain(`  ${name}`);
+      }
+    });
+
+    it('should list only the options of a command', () => {
+      const text = helpText('serve');
+      expect(text).toContain('Usage: quackfetch serve [options]');
+      expect(text).toContain('--port, -p <number>');
+      expect(text).not.toContain('--max');
+    });
+  });
+
+  describe('cache command', () => {
+    let directory;
+    let output;
+    let warnings;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'quackfetch-cli-'));
+      output = jest.spyOn(console, 'log').mockImplementation(() => {});
+      warnings = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      output.mockRestore();
+      warnings.mockRestore();
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should only clear cache entries and warn about other files', async () => {
+      await createFileStore({ directory }).set('key', 'value');
+      await fs.writeFile(path.join(directory, 'package.json'), '{}');
+
+      const code = await COMMANDS.cache.run(parseArgs(['cache', 'clear', '--cache-dir', directory]));
+
+      expect(code).toBe(0);
+      expect(await fs.readdir(directory)).toEqual(['package.json']);
+      expect(output).toHaveBeenCalledWith(`Removed 1 entry from ${directory}`);
+      expect(warnings.mock.calls[0][0]).toContain('1 file that is not a cache entry (package.json); it is kept');
+    });
+
+    it('should name several stray files in one warning', async () => {
+      await fs.writeFile(path.join(directory, 'a.json'), '{}');
+      await fs.writeFile(path.join(directory, 'b.txt'), '');
+
+      await COMMANDS.cache.run(parseArgs(['cache', 'clear', '--cache-dir', directory]));
+
+      expect(warnings.mock.calls[0][0]).toMatch(/2 files that are not cache entries \(.+\); they are kept$/);
+      expect((await fs.readdir(directory)).sort()).toEqual(['a.json', 'b.txt']);
+    });
+
+    it('should not warn about a directory holding only cache entries', async () => {
+      await createFileStore({ directory }).set('key', 'value');
+
+      await COMMANDS.cache.run(parseArgs(['cache', 'stats', '--cache-dir', directory]));
+
+      expect(JSON.parse(output.mock.calls[0][0])).toEqual({ directory, entries: 1 });
+      expect(warnings).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for config.js
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { loadConfig, clientConfig, DEFAULTS } = require('../src/config');
+const { InvalidInputError } = require('../src/errors');
+
+describe('config', () => {
+  let home;
+  let project;
+
+  beforeEach(async () => {
+    home = await fs.mkdtemp(path.join(os.tmpdir(), 'quackfetch-home-'));
+    project = await fs.mkdtemp(path.join(os.tmpdir(), 'quackfetch-project-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(home, { recursive: true, force: true });
+    await fs.rm(project, { recursive: true, force: true });
+  });
+
+  const writeConfig = (directory, data) =>
+    fs.writeFile(path.join(directory, '.quackfetchrc'), typeof data === 'string' ? data : JSON.stringify(data));
+
+  const load = (options = {}) => loadConfig({ cwd: project, home, env: {}, ...options });
+
+  describe('loadConfig', () => {
+    it('should fall back to the built-in defaults', () => {
+      const { values, sources, files } = load();
+
+      expect(values).toEqual(DEFAULTS);
+      expect(values).toMatchObject({ rateLimit: 1000, cacheTTL: 300000, max: 10 });
+      expect(sources.max).toBe('default');
+      expect(files).toEqual([]);
+    });
+
+    it('should merge home file, project file, environment and overrides in that order', async () => {
+      await writeConfig(home, { max: 3, region: 'de-de', rateLimit: 1500, timeout: 2000 });
+      await writeConfig(project, { max: 4, region: 'fr-fr', rateLimit: 2000 });
+
+      const { values, sources, files } = load({
+        env: { QUACKFETCH_MAX: '5', QUACKFETCH_REGION: 'us-en' },
+        overrides: { max: 6, region: undefined, concurrency: 9 }
+      });
+
+      expect(values).toMatchObject({ max: 6, region: 'us-en', rateLimit: 2000, timeout: 2000 });
+      expect(values.concurrency).toBeUndefined();
+      expect(sources).toMatchObject({
+        max: 'option',
+        region: 'QUACKFETCH_REGION',
+        rateLimit: path.join(project, '.quackfetchrc'),
+        timeout: path.join(home, '.quackfetchrc')
+      });
+      expect(files).toEqual([path.join(home, '.quackfetchrc'), path.join(project, '.quackfetchrc')]);
+    });
+
+    it('should find the project file in a parent directory', async () => {
+      const nested = path.join(project, 'src', 'deep');
+      await fs.mkdir(nested, { recursive: true });
+      await writeConfig(project, { safeSearch: 'strict' });
+
+      expect(load({ cwd: nested }).values.safeSearch).toBe('strict');
+    });
+
+    it('should reset an option to its default with null', async () => {
+      await writeConfig(home, { max: 3, region: 'de-de' });
+      await writeConfig(project, { max: null, region: null });
+
+      const { values, sources } = load();
+      expect(values.max).toBe(10);
+      expect(sources.max).toBe('default');
+      expect(values).not.toHaveProperty('region');
+    });
+
+    it('should convert environment variables', () => {
+      const { values, sources } = load({
+        env: {
+          QUACKFETCH_RATE_LIMIT: '250',
+          QUACKFETCH_PROXY: 'http://a.local:3128, http://b.local:3128',
+          QUACKFETCH_NO_PROXY: 'localhost',
+          PORT: '8080'
+        }
+      });
+
+      expect(values.rateLimit).toBe(250);
+      expect(values.proxy).toEqual(['http://a.local:3128', 'http://b.local:3128']);
+      expect(values.noProxy).toBe('localhost');
+      expect(values.port).toBe(8080);
+      expect(sources.port).toBe('PORT');
+
+      expect(load({ env: { PORT: '8080', QUACKFETCH_PORT: '9090' } }).values.port).toBe(9090);
+      expect(load({ env: { QUACKFETCH_PROXY: 'http://a.local:3128' } }).values.proxy).toBe('http://a.local:3128');
+    });
+
+    it('should reject invalid values and name their source', async () => {
+      expect(() => load({ env: { QUACKFETCH_MAX: 'ten' } }))
+        .toThrow('Config option "max" from QUACKFETCH_MAX must be a whole number of at least 1');
+      expect(() => load({ env: { QUACKFETCH_SAFE_SEARCH: 'loose' } })).toThrow(InvalidInputError);
+      expect(() => load({ overrides: { port: 70000 } })).toThrow('between 0 and 65535');
+
+      await writeConfig(project, { rateLimit: -1 });
+      expect(() => load()).toThrow(path.join(project, '.quackfetchrc'));
+    });
+
+    it('should reject unknown options and malformed files', async () => {
+      await writeConfig(project, { maxResults: 5 });
+      expect(() => load()).toThrow('Unknown config option "maxResults"');
+
+      await writeConfig(project, '{ "max": 5, }');
+      expect(() => load()).toThrow('Cannot read config file');
+
+      await writeConfig(project, '[]');
+      expect(() => load()).toThrow('must contain a JSON object');
+    });
+  });
+
+  describe('clientConfig', () => {
+    it('should leave out the server options', () => {
+      const config = clientConfig(load({ env: { QUACKFETCH_HOST: '127.0.0.1' } }).values);
+
+      expect(config).not.toHaveProperty('port');
+      expect(config).not.toHaveProperty('host');
+      expect(config.userAgent).toBe(DEFAULTS.userAgent);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for errors.js
+ */
+
+const {
+  QuackfetchError,
+  InvalidInputError,
+  TimeoutError,
+  RobotsDisallowedError,
+  HttpStatusError,
+  BlockedError,
+  NetworkError,
+  ResponseTooLargeError,
+  UnsupportedContentTypeError,
+  ParseError
+} = require('../src/errors');
+
+describe('errors', () => {
+  it('should give every class a stable code', () => {
+    const codes = [
+      InvalidInputError,
+      TimeoutError,
+      RobotsDisallowedError,
+      HttpStatusError,
+      BlockedError,
+      NetworkError,
+      ResponseTooLargeError,
+      UnsupportedContentTypeError,
+      ParseError
+    ].map(ErrorClass => new ErrorClass('failed').code);
+
+    expect(codes).toEqual([
+      'INVALID_INPUT',
+      'TIMEOUT',
+      'ROBOTS_DISALLOWED',
+      'HTTP_STATUS',
+      'BLOCKED',
+      'NETWORK_ERROR',
+      'RESPONSE_TOO_LARGE',
+      'UNSUPPORTED_CONTENT_TYPE',
+      'PARSE_ERROR'
+    ]);
+  });
+
+  it('should expose details and the cause', () => {
+    const cause = new TypeError('fetch failed');
+    const error = new HttpStatusError('HTTP 502: Bad Gateway', { url: 'https://example.com/', status: 502, cause });
+
+    expect(error).toBeInstanceOf(QuackfetchError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ name: 'HttpStatusError', url: 'https://example.com/', status: 502 });
+    expect(error.cause).toBe(cause);
+  });
+
+  it('should always mark blocked errors', () => {
+    expect(new BlockedError('HTTP 429', { reason: 'throttled' })).toMatchObject({ blocked: true, reason: 'throttled' });
+  });
+
+  describe('withContext', () => {
+    it('should keep the class, code, details and cause', () => {
+      const cause = new Error('socket hang up');
+      const error = new NetworkError('Request failed', { url: 'https://example.com/', attempts: 3, cause });
+
+      const wrapped = error.withContext('Search failed for query "ducks"');
+
+      expect(wrapped).toBeInstanceOf(NetworkError);
+      expect(wrapped.message).toBe('Search failed for query "ducks": Request failed');
+      expect(wrapped).toMatchObject({ code: 'NETWORK_ERROR', url: 'https://example.com/', attempts: 3 });
+      expect(wrapped.cause).toBe(cause);
+    });
+  });
+});
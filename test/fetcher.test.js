@@ -3,7 +3,29 @@
  */
 
 const nock = require('nock');
-const { fetchHtml, searchDuckDuckGoHtml } = require('../src/fetcher');
+const {
+  fetchHtml,
+  fetchJson,
+  fetchPage,
+  parseRetryAfter,
+  searchDuckDuckGoHtml,
+  searchDuckDuckGoInstant,
+  fetchNextSearchPage,
+  buildFilterParams,
+  scheduleRequest,
+  enforceRateLimit
+} = require('../src/fetcher');
+const { createRobotsCache } = require('../src/robots');
+const {
+  TimeoutError,
+  AbortedError,
+  RobotsDisallowedError,
+  HttpStatusError,
+  NetworkError,
+  UnsupportedContentTypeError,
+  ParseError
+} = require('../src/errors');
+const { createHostScheduler } = require('../src/scheduler');
 
 describe('fetcher', () => {
   beforeEach(() => {
@@ -117,6 +139,468 @@ describe('fetcher', () => {
 
       expect(nock.isDone()).toBe(true);
     });
+
+    it('should map region, safe search and time range filters', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'wahlen', kl: 'de-de', kp: '1', df: 'w' })
+        .reply(200, '<html></html>');
+
+      await searchDuckDuckGoHtml('wahlen', {
+        rateLimitMs: 0,
+        checkRobots: false,
+        region: 'DE-de',
+        safeSearch: 'strict',
+        timeRange: 'week'
+      });
+
+      expect(nock.isDone()).toBe(true);
+    });
   });
-});
 
+  describe('buildFilterParams', () => {
+    it('should omit filters that are not set', () => {
+      expect(buildFilterParams({})).toEqual({});
+      expect(buildFilterParams({ safeSearch: 'off', timeRange: 'year' })).toEqual({ kp: '-2', df: 'y' });
+    });
+  });
+
+  describe('fetchNextSearchPage', () => {
+    it('should POST the next-page form fields', async () => {
+      nock('https://html.duckduckgo.com')
+        .post('/html/', { q: 'test', s: '10', vqd: '4-123' })
+        .reply(200, '<html>page 2</html>');
+
+      const result = await fetchNextSearchPage({
+        action: '/html/',
+        method: 'POST',
+        fields: { q: 'test', s: '10', vqd: '4-123' }
+      }, {
+        rateLimitMs: 0,
+        checkRobots: false
+      });
+
+      expect(result).toBe('<html>page 2</html>');
+    });
+
+    it('should send GET forms as query parameters', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'test', s: '10' })
+        .reply(200, '<html>page 2</html>');
+
+      const result = await fetchNextSearchPage({
+        action: '/html/',
+        method: 'GET',
+        fields: { q: 'test', s: '10' }
+      }, {
+        rateLimitMs: 0,
+        checkRobots: false
+      });
+
+      expect(result).toBe('<html>page 2</html>');
+    });
+  });
+
+  describe('scheduleRequest', () => {
+    it('should adopt a stricter robots.txt Crawl-delay', async () => {
+      nock('https://example.com')
+        .get('/robots.txt')
+        .reply(200, 'User-agent: *\nCrawl-delay: 2');
+
+      const scheduler = createHostScheduler();
+
+      await scheduleRequest('https://example.com/page', {
+        rateLimitMs: 500,
+        robotsCache: createRobotsCache(),
+        scheduler
+      }, async () => {});
+
+      expect(scheduler.getStats('example.com').intervalMs).toBe(2000);
+    });
+
+    it('should keep the configured rate limit when it is stricter', async () => {
+      nock('https://example.com')
+        .get('/robots.txt')
+        .reply(200, 'User-agent: *\nCrawl-delay: 1');
+
+      const scheduler = createHostScheduler();
+
+      await scheduleRequest('https://example.com/page', {
+        rateLimitMs: 5000,
+        robotsCache: createRobotsCache(),
+        scheduler
+      }, async () => {});
+
+      expect(scheduler.getStats('example.com').intervalMs).toBe(5000);
+    });
+  });
+
+  describe('maxBytes', () => {
+    it('should reject bodies larger than the limit without retrying', async () => {
+      const scope = nock('https://example.com')
+        .get('/large')
+        .reply(200, 'x'.repeat(2048));
+
+      await expect(fetchHtml('https://example.com/large', {
+        checkRobots: false,
+        maxBytes: 1024
+      })).rejects.toThrow('size limit of 1024 bytes');
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('should accept bodies within the limit', async () => {
+      nock('https://example.com')
+        .get('/small')
+        .reply(200, '<p>small</p>');
+
+      await expect(fetchHtml('https://example.com/small', {
+        checkRobots: false,
+        maxBytes: 1024
+      })).resolves.toBe('<p>small</p>');
+    });
+  });
+
+  describe('fetchPage', () => {
+    it('should reject pages that are not HTML without retrying', async () => {
+      const scope = nock('https://example.com')
+        .get('/paper.pdf')
+        .reply(200, '%PDF-1.7', { 'Content-Type': 'application/pdf' });
+
+      const error = await fetchPage('https://example.com/paper.pdf', {
+        checkRobots: false,
+        rateLimit: 0,
+        retries: 2
+      }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(UnsupportedContentTypeError);
+      expect(error).toMatchObject({ url: 'https://example.com/paper.pdf', contentType: 'application/pdf' });
+      expect(error.message).toBe('Expected HTML, got application/pdf');
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('should read HTML and XHTML pages, and pages without a Content-Type', async () => {
+      nock('https://example.com')
+        .get('/page').reply(200, '<p>html</p>', { 'Content-Type': 'Text/HTML; charset=utf-8' })
+        .get('/xhtml').reply(200, '<p>xhtml</p>', { 'Content-Type': 'application/xhtml+xml' })
+        .get('/bare').reply(200, Buffer.from('<p>bare</p>'));
+
+      const options = { checkRobots: false, rateLimit: 0 };
+
+      await expect(fetchPage('https://example.com/page', options)).resolves.toBe('<p>html</p>');
+      await expect(fetchPage('https://example.com/xhtml', options)).resolves.toBe('<p>xhtml</p>');
+      await expect(fetchPage('https://example.com/bare', options)).resolves.toBe('<p>bare</p>');
+    });
+  });
+
+  describe('character encodings', () => {
+    it('should decode bodies in the charset of Content-Type', async () => {
+      nock('https://example.com')
+        .get('/latin1')
+        .reply(200, Buffer.from('<p>Café crème</p>', 'latin1'), { 'Content-Type': 'text/html; charset=ISO-8859-1' })
+        .get('/cyrillic')
+        .reply(200, Buffer.from([0x3c, 0x70, 0x3e, 0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]),
+          { 'Content-Type': 'text/html; charset="windows-1251"' });
+
+      await expect(fetchHtml('https://example.com/latin1', { checkRobots: false, maxBytes: 1024 }))
+        .resolves.toBe('<p>Café crème</p>');
+      await expect(fetchHtml('https://example.com/cyrillic', { checkRobots: false }))
+        .resolves.toBe('<p>Привет');
+    });
+
+    it('should fall back to <meta charset>, then UTF-8', async () => {
+      nock('https://example.com')
+        .get('/meta')
+        .reply(200, Buffer.concat([
+          Buffer.from('<meta charset="shift_jis"><p>'),
+          Buffer.from([0x82, 0xa0])
+        ]), { 'Content-Type': 'text/html' })
+        .get('/unknown')
+        .reply(200, '<p>naïve</p>', { 'Content-Type': 'text/html; charset=x-unknown' });
+
+      await expect(fetchHtml('https://example.com/meta', { checkRobots: false }))
+        .resolves.toBe('<meta charset="shift_jis"><p>あ');
+      await expect(fetchHtml('https://example.com/unknown', { checkRobots: false }))
+        .resolves.toBe('<p>naïve</p>');
+    });
+  });
+
+  describe('throttling', () => {
+    const anomalyHtml = `
+      <html><body>
+        <div class="anomaly-modal__modal">Unfortunately, bots use DuckDuckGo too.</div>
+        <form id="challenge-form" action="/anomaly.js"></form>
+      </body></html>
+    `;
+
+    it('should wait for Retry-After instead of the backoff delay', async () => {
+      const scope = nock('https://example.com')
+        .get('/busy')
+        .reply(429, 'Too Many Requests', { 'Retry-After': '0' })
+        .get('/busy')
+        .reply(200, '<p>ok</p>');
+
+      await expect(fetchHtml('https://example.com/busy', {
+        checkRobots: false,
+        retries: 1,
+        retryDelay: 60000
+      })).resolves.toBe('<p>ok</p>');
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('should stop retrying when Retry-After is longer than maxRetryAfter', async () => {
+      const scope = nock('https://example.com')
+        .get('/busy')
+        .reply(429, 'Too Many Requests', { 'Retry-After': '120' });
+
+      const error = await fetchHtml('https://example.com/busy', {
+        checkRobots: false,
+        retries: 2,
+        maxRetryAfter: 60000
+      }).catch(caught => caught);
+
+      expect(scope.isDone()).toBe(true);
+      expect(error.message).toBe('Blocked by example.com after 1 attempts: HTTP 429: Too Many Requests');
+      expect(error).toMatchObject({ blocked: true, reason: 'throttled', status: 429, retryAfter: 120000 });
+    });
+
+    it('should report a 202 anomaly response from DuckDuckGo as blocked', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'ducks' })
+        .reply(202, anomalyHtml);
+
+      await expect(searchDuckDuckGoHtml('ducks', {
+        rateLimitMs: 0,
+        checkRobots: false,
+        retries: 0
+      })).rejects.toMatchObject({ blocked: true, reason: 'throttled', status: 202 });
+    });
+
+    it('should detect anomaly pages served with a 200 status', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'ducks' })
+        .reply(200, anomalyHtml);
+
+      await expect(searchDuckDuckGoHtml('ducks', {
+        rateLimitMs: 0,
+        checkRobots: false,
+        retries: 0
+      })).rejects.toMatchObject({ blocked: true, reason: 'anomaly', status: 200 });
+    });
+
+    it('should not mark other HTTP errors as blocked', async () => {
+      nock('https://example.com')
+        .get('/missing')
+        .reply(404, 'Not Found');
+
+      const error = await fetchHtml('https://example.com/missing', {
+        checkRobots: false,
+        retries: 0
+      }).catch(caught => caught);
+
+      expect(error.message).toBe('Failed to fetch https://example.com/missing after 1 attempts: HTTP 404: Not Found');
+      expect(error.blocked).toBeUndefined();
+    });
+  });
+
+  describe('errors', () => {
+    it('should raise HttpStatusError with the status and attempt count', async () => {
+      nock('https://example.com')
+        .get('/gone')
+        .times(2)
+        .reply(410, 'Gone');
+
+      const error = await fetchHtml('https://example.com/gone', {
+        checkRobots: false,
+        retries: 1,
+        retryDelay: 0
+      }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(HttpStatusError);
+      expect(error).toMatchObject({ code: 'HTTP_STATUS', status: 410, attempts: 2, url: 'https://example.com/gone' });
+    });
+
+    it('should raise TimeoutError without retrying', async () => {
+      nock('https://example.com')
+        .get('/slow')
+        .delayConnection(1000)
+        .reply(200, 'OK');
+
+      const error = await fetchHtml('https://example.com/slow', {
+        checkRobots: false,
+        timeout: 50,
+        retries: 2
+      }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error).toMatchObject({ code: 'TIMEOUT', timeout: 50, attempts: 1 });
+      expect(error.cause.name).toBe('AbortError');
+    });
+
+    it('should raise NetworkError with the connection failure as cause', async () => {
+      nock('https://example.com')
+        .get('/reset')
+        .replyWithError('socket hang up');
+
+      const error = await fetchHtml('https://example.com/reset', {
+        checkRobots: false,
+        retries: 0
+      }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.message).toContain('socket hang up');
+      expect(error.cause).toBeInstanceOf(Error);
+    });
+
+    it('should raise RobotsDisallowedError with the deciding rule', async () => {
+      nock('https://example.com')
+        .get('/robots.txt')
+        .reply(200, 'User-agent: *\nDisallow: /private');
+
+      const error = await fetchHtml('https://example.com/private/page', {
+        robotsCache: createRobotsCache()
+      }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(RobotsDisallowedError);
+      expect(error).toMatchObject({ code: 'ROBOTS_DISALLOWED', reason: 'matched-rule' });
+      expect(error.rule.pattern).toBe('/private');
+    });
+
+    it('should raise ParseError for invalid JSON', async () => {
+      nock('https://example.com')
+        .get('/data')
+        .reply(200, 'not json');
+
+      await expect(fetchJson('https://example.com/data', { checkRobots: false }))
+        .rejects.toBeInstanceOf(ParseError);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should stop retrying when the signal aborts during a backoff sleep', async () => {
+      nock('https://example.com')
+        .get('/flaky')
+        .reply(500, 'Error');
+
+      const controller = new AbortController();
+      const started = Date.now();
+      setTimeout(() => controller.abort(), 50);
+
+      const error = await fetchHtml('https://example.com/flaky', {
+        checkRobots: false,
+        retries: 2,
+        retryDelay: 10000,
+        signal: controller.signal
+      }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(AbortedError);
+      expect(error).toMatchObject({ code: 'ABORTED', url: 'https://example.com/flaky', attempts: 1 });
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('should not send a request when the signal is already aborted', async () => {
+      const scope = nock('https://example.com')
+        .get('/page')
+        .reply(200, 'OK');
+
+      await expect(fetchHtml('https://example.com/page', {
+        checkRobots: false,
+        signal: AbortSignal.abort()
+      })).rejects.toBeInstanceOf(AbortedError);
+      expect(scope.isDone()).toBe(false);
+    });
+
+    it('should raise TimeoutError when the deadline passes', async () => {
+      nock('https://example.com')
+        .get('/slow')
+        .delayConnection(1000)
+        .reply(200, 'OK');
+
+      const error = await fetchHtml('https://example.com/slow', {
+        checkRobots: false,
+        timeout: 5000,
+        deadline: 50
+      }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error).toMatchObject({ code: 'TIMEOUT', deadline: true, attempts: 1 });
+    });
+
+    it('should cover rate-limit waits with the deadline', async () => {
+      const scheduler = createHostScheduler();
+      await enforceRateLimit('html.duckduckgo.com', 10000, scheduler);
+
+      const started = Date.now();
+      const error = await searchDuckDuckGoHtml('ducks', {
+        checkRobots: false,
+        rateLimitMs: 10000,
+        scheduler,
+        deadline: 50
+      }).catch(caught => caught);
+
+      expect(error).toMatchObject({ code: 'TIMEOUT', deadline: true });
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(scheduler.getStats('html.duckduckgo.com').queued).toBe(0);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse delays in seconds and HTTP dates', () => {
+      expect(parseRetryAfter('30')).toBe(30000);
+      expect(parseRetryAfter(new Date(Date.now() + 10000).toUTCString())).toBeGreaterThan(8000);
+      expect(parseRetryAfter('Thu, 01 Jan 1970 00:00:00 GMT')).toBe(0);
+    });
+
+    it('should ignore missing and invalid values', () => {
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('fetchJson', () => {
+    it('should parse JSON responses', async () => {
+      nock('https://example.com')
+        .get('/data.json')
+        .reply(200, { ok: true });
+
+      const result = await fetchJson('https://example.com/data.json', {
+        checkRobots: false
+      });
+
+      expect(result).toEqual({ ok: true });
+    });
+
+    it('should reject invalid JSON', async () => {
+      nock('https://example.com')
+        .get('/broken.json')
+        .reply(200, '<html>not json</html>');
+
+      await expect(
+        fetchJson('https://example.com/broken.json', { checkRobots: false })
+      ).rejects.toThrow('Invalid JSON');
+    });
+  });
+
+  describe('searchDuckDuckGoInstant', () => {
+    it('should query the Instant Answer API as JSON', async () => {
+      nock('https://api.duckduckgo.com')
+        .get('/')
+        .query({
+          q: 'node.js',
+          format: 'json',
+          no_html: '1',
+          no_redirect: '1',
+          skip_disambig: '1'
+        })
+        .reply(200, { Heading: 'Node.js', AbstractText: 'A runtime.' });
+
+      const result = await searchDuckDuckGoInstant('node.js', {
+        checkRobots: false
+      });
+
+      expect(result.Heading).toBe('Node.js');
+    });
+  });
+});
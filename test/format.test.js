@@ -0,0 +1,121 @@
+/**
+ * Tests for format.js
+ */
+
+const { formatResults, escapeCsv } = require('../src/format');
+
+const results = [
+  {
+    rank: 1,
+    title: 'Node.js',
+    url: 'https://nodejs.org/',
+    snippet: 'JavaScript runtime',
+    source: 'nodejs.org'
+  },
+  {
+    rank: 2,
+    title: 'Say "hi", [twice]',
+    url: 'https://example.com/a_(b)',
+    snippet: 'Line one\nline two',
+    source: 'example.com'
+  }
+];
+
+describe('format', () => {
+  describe('formatResults', () => {
+    it('should default to pretty JSON and pick fields', () => {
+      expect(formatResults(results)).toBe(JSON.stringify(results, null, 2));
+      expect(JSON.parse(formatResults(results, { fields: ['url', 'missing'] }))).toEqual([
+        { url: 'https://nodejs.org/', missing: null },
+        { url: 'https://example.com/a_(b)', missing: null }
+      ]);
+    });
+
+    it('should write one JSON object per line as NDJSON', () => {
+      const lines = formatResults(results, { format: 'ndjson', fields: ['rank', 'title'] }).split('\n');
+
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[1])).toEqual({ rank: 2, title: 'Say "hi", [twice]' });
+    });
+
+    it('should escape CSV cells', () => {
+      expect(formatResults(results, { format: 'csv', fields: ['rank', 'title', 'snippet'] })).toBe([
+        'rank,title,snippet',
+        '1,Node.js,JavaScript runtime',
+        '2,"Say ""hi"", [twice]","Line one\nline two"'
+      ].join('\n'));
+      expect(escapeCsv(null)).toBe('');
+      expect(escapeCsv({ a: 1 })).toBe('"{""a"":1}"');
+    });
+
+    it('should keep CSV cells from running as spreadsheet formulas', () => {
+      expect(escapeCsv('=HYPERLINK("http://evil.example","x")')).toBe('"\'=HYPERLINK(""http://evil.example"",""x"")"');
+      expect(escapeCsv('+1')).toBe("'+1");
+      expect(escapeCsv('-2+3')).toBe("'-2+3");
+      expect(escapeCsv('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(escapeCsv('a=b')).toBe('a=b');
+    });
+
+    it('should strip control characters from untrusted text', () => {
+      const hostile = [{
+        rank: 1,
+        title: 'Click\x1b[2J\x1b]8;;http://evil.example\x07 me\x9b31m',
+        url: 'https://example.com/\x1b[0m',
+        snippet: 'Bell\x07 and NUL\x00'
+      }];
+
+      const text = formatResults(hostile, { format: 'text' });
+      expect(text).toBe('1. Click[2J]8;;http://evil.example me31m\n   https://example.com/[0m\n   Bell and NUL');
+      expect(formatResults(hostile, { format: 'table' })).toBe([
+        'rank  title                                  url',
+        '----  -------------------------------------  -----------------------',
+        '1     Click[2J]8;;http://evil.example me31m  https://example.com/[0m'
+      ].join('\n'));
+      expect(formatResults(hostile, { format: 'csv', fields: ['title'] })).toBe('title\nClick[2J]8;;http://evil.example me31m');
+      expect(formatResults(hostile, { format: 'urls' })).toBe('https://example.com/[0m');
+    });
+
+    it('should align table columns', () => {
+      const table = formatResults(results, { format: 'table', fields: ['rank', 'source'] });
+
+      expect(table.split('\n')).toEqual([
+        'rank  source',
+        '----  -----------',
+        '1     nodejs.org',
+        '2     example.com'
+      ]);
+    });
+
+    it('should write Markdown links with escaped titles and URLs', () => {
+      expect(formatResults(results, { format: 'markdown' })).toBe([
+        '- [Node.js](https://nodejs.org/)',
+        '- [Say "hi", \\[twice\\]](https://example.com/a_%28b%29)'
+      ].join('\n'));
+    });
+
+    it('should list URLs only', () => {
+      expect(formatResults(results, { format: 'urls' })).toBe('https://nodejs.org/\nhttps://example.com/a_(b)');
+      expect(formatResults([], { format: 'urls' })).toBe('');
+    });
+
+    it('should color the text format only when asked', () => {
+      const plain = formatResults(results, { format: 'text' });
+      const colored = formatResults(results, { format: 'text', color: true });
+
+      expect(plain.split('\n').slice(0, 4)).toEqual([
+        '1. Node.js',
+        '   https://nodejs.org/',
+        '   JavaScript runtime',
+        ''
+      ]);
+      expect(plain).toContain('   Line one line two');
+      expect(plain).not.toContain('\x1b[');
+      expect(colored).toContain('\x1b[1mNode.js\x1b[0m');
+      expect(formatResults([], { format: 'text' })).toBe('No results.');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => formatResults(results, { format: 'xml' })).toThrow('Unknown format "xml"');
+    });
+  });
+});
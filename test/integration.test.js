@@ -3,7 +3,22 @@
  */
 
 const nock = require('nock');
-const { search, clearCache } = require('../src/index');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  search,
+  searchIter,
+  searchMany,
+  searchInstantAnswer,
+  searchImages,
+  searchNews,
+  searchVideos,
+  searchAndRead,
+  clearCache,
+  getCacheStats,
+  createFileStore
+} = require('../src/index');
 
 describe('integration', () => {
   beforeEach(() => {
@@ -122,6 +137,33 @@ describe('integration', () => {
       expect(scope.isDone()).toBe(true);
     });
 
+    it('should use a custom cache store', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'quackfetch-search-'));
+      const cacheStore = createFileStore({ directory });
+
+      const scope = nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'persisted query' })
+        .reply(200, `
+          <div class="result">
+            <a class="result__a" href="https://example.com">Title</a>
+          </div>
+        `);
+
+      try {
+        await search('persisted query', { cacheStore, rateLimit: 0, checkRobots: false });
+
+        // The in-memory cache is cleared, so only the file store can answer
+        clearCache();
+        const results = await search('persisted query', { cacheStore, rateLimit: 0, checkRobots: false });
+
+        expect(results[0].cached).toBe(true);
+        expect(scope.isDone()).toBe(true);
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+
     it('should handle search errors gracefully', async () => {
       nock('https://html.duckduckgo.com')
         .get('/html/')
@@ -137,5 +179,705 @@ describe('integration', () => {
       ).rejects.toThrow();
     });
   });
-});
 
+  describe('coalescing and stale-while-revalidate', () => {
+    const mockHtml = (title) => `
+      <div class="result">
+        <a class="result__a" href="https://example.com">${title}</a>
+      </div>
+    `;
+
+    it('should share one upstream fetch between identical concurrent searches', async () => {
+      const scope = nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'popular' })
+        .delay(50)
+        .reply(200, mockHtml('Popular'));
+
+      const [first, second, third] = await Promise.all([
+        search('popular', { rateLimit: 0, checkRobots: false }),
+        search('popular', { rateLimit: 0, checkRobots: false }),
+        search('popular', { rateLimit: 0, checkRobots: false })
+      ]);
+
+      expect(scope.isDone()).toBe(true);
+      expect(first).toEqual(second);
+      expect(second).toEqual(third);
+      expect(first).not.toBe(second);
+
+      const stats = getCacheStats();
+      expect(stats.misses).toBe(3);
+      expect(stats.coalesced).toBe(2);
+    });
+
+    it('should serve stale entries while refreshing in the background', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'fresh' })
+        .reply(200, mockHtml('Old title'))
+        .get('/html/')
+        .query({ q: 'fresh' })
+        .reply(200, mockHtml('New title'));
+
+      const options = { rateLimit: 0, checkRobots: false, cacheTTL: 200, staleWhileRevalidate: 60000 };
+
+      await search('fresh', options);
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const stale = await search('fresh', options);
+      expect(stale[0].title).toBe('Old title');
+      expect(stale[0].stale).toBe(true);
+      expect(stale[0].cached).toBe(true);
+
+      // Wait for the background refresh to land in the cache
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      const refreshed = await search('fresh', options);
+      expect(refreshed[0].title).toBe('New title');
+      expect(refreshed[0].stale).toBeUndefined();
+
+      const stats = getCacheStats();
+      expect(stats.staleServed).toBe(1);
+      expect(stats.hits).toBe(1);
+    });
+
+    it('should treat expired entries as misses without stale-while-revalidate', async () => {
+      const scope = nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'expired' })
+        .times(2)
+        .reply(200, mockHtml('Title'));
+
+      await search('expired', { rateLimit: 0, checkRobots: false, cacheTTL: 10 });
+      await new Promise(resolve => setTimeout(resolve, 30));
+      const results = await search('expired', { rateLimit: 0, checkRobots: false, cacheTTL: 10 });
+
+      expect(results[0].cached).toBeUndefined();
+      expect(scope.isDone()).toBe(true);
+    });
+  });
+
+  describe('filters', () => {
+    it('should reject invalid filter values', async () => {
+      await expect(search('test', { safeSearch: 'maybe' })).rejects.toThrow('Invalid safeSearch');
+      await expect(search('test', { timeRange: 'decade' })).rejects.toThrow('Invalid timeRange');
+      await expect(search('test', { region: 'germany' })).rejects.toThrow('Invalid region');
+    });
+
+    it('should not share cache entries between filtered and unfiltered searches', async () => {
+      const mockHtml = `
+        <div class="result">
+          <a class="result__a" href="https://example.com">Title</a>
+        </div>
+      `;
+
+      const scope = nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'filtered' })
+        .reply(200, mockHtml)
+        .get('/html/')
+        .query({ q: 'filtered', df: 'd' })
+        .reply(200, mockHtml);
+
+      const unfiltered = await search('filtered', { rateLimit: 0, checkRobots: false });
+      const filtered = await search('filtered', { rateLimit: 0, checkRobots: false, timeRange: 'day' });
+
+      expect(unfiltered[0].cached).toBeUndefined();
+      expect(filtered[0].cached).toBeUndefined();
+      expect(scope.isDone()).toBe(true);
+    });
+  });
+
+  describe('fullPage', () => {
+    it('should resolve to the page object and share the cache with plain searches', async () => {
+      const scope = nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'javasript' })
+        .reply(200, `
+          <div id="did_you_mean">Including results for <a href="/html/?q=javascript">javascript</a></div>
+          <div class="result result--ad">
+            <a class="result__a" href="https://ads.example.com">Ad</a>
+          </div>
+          <div class="result">
+            <a class="result__a" href="https://example.com">Organic</a>
+          </div>
+        `);
+
+      const page = await search('javasript', { fullPage: true, rateLimit: 0, checkRobots: false });
+      const results = await search('javasript', { rateLimit: 0, checkRobots: false });
+
+      expect(scope.isDone()).toBe(true);
+      expect(page.results).toHaveLength(1);
+      expect(page.ads[0]).toMatchObject({ title: 'Ad', ad: true });
+      expect(page.spelling.correctedQuery).toBe('javascript');
+      expect(page.hasMore).toBe(false);
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ title: 'Organic', cached: true });
+    });
+  });
+
+  describe('structured queries', () => {
+    it('should send the compiled query and share its cache entry with the string form', async () => {
+      const scope = nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'annual report site:example.com filetype:pdf -draft' })
+        .reply(200, `
+          <div class="result">
+            <a class="result__a" href="https://example.com/report.pdf">Annual report</a>
+          </div>
+        `);
+
+      const structured = await search({
+        terms: 'annual report',
+        site: 'example.com',
+        filetype: 'pdf',
+        exclude: 'draft'
+      }, { rateLimit: 0, checkRobots: false });
+      const plain = await search('annual report site:example.com filetype:pdf -draft', {
+        rateLimit: 0,
+        checkRobots: false
+      });
+
+      expect(scope.isDone()).toBe(true);
+      expect(structured[0].url).toBe('https://example.com/report.pdf');
+      expect(plain[0].cached).toBe(true);
+    });
+
+    it('should reject invalid query objects', async () => {
+      await expect(search({ site: 'not a domain' })).rejects.toThrow('is not a domain');
+    });
+  });
+
+  describe('pagination', () => {
+    const resultHtml = (url, title) => `
+      <div class="result">
+        <a class="result__a" href="${url}">${title}</a>
+      </div>
+    `;
+
+    const nextForm = (offset) => `
+      <div class="nav-link">
+        <form action="/html/" method="post">
+          <input type="submit" value="Next" />
+          <input type="hidden" name="q" value="paged" />
+          <input type="hidden" name="s" value="${offset}" />
+        </form>
+      </div>
+    `;
+
+    it('should follow Next forms until max is reached', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'paged' })
+        .reply(200, resultHtml('https://one.com', 'One') +
+          resultHtml('https://two.com', 'Two') + nextForm(2))
+        .post('/html/', { q: 'paged', s: '2' })
+        .reply(200, resultHtml('https://two.com', 'Two again') +
+          resultHtml('https://three.com', 'Three') +
+          resultHtml('https://four.com', 'Four') + nextForm(5));
+
+      const results = await search('paged', {
+        max: 3,
+        rateLimit: 0,
+        useCache: false,
+        checkRobots: false
+      });
+
+      expect(results.map(result => result.url)).toEqual([
+        'https://one.com/',
+        'https://two.com/',
+        'https://three.com/'
+      ]);
+      expect(results.map(result => result.rank)).toEqual([1, 2, 3]);
+    });
+
+    it('should stop when there is no next page', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'paged' })
+        .reply(200, resultHtml('https://one.com', 'One'));
+
+      const results = await search('paged', {
+        max: 50,
+        rateLimit: 0,
+        useCache: false,
+        checkRobots: false
+      });
+
+      expect(results).toHaveLength(1);
+    });
+
+    it('should respect maxPages', async () => {
+      const scope = nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'paged' })
+        .reply(200, resultHtml('https://one.com', 'One') + nextForm(1));
+
+      const results = await search('paged', {
+        max: 50,
+        maxPages: 1,
+        rateLimit: 0,
+        useCache: false,
+        checkRobots: false
+      });
+
+      expect(results).toHaveLength(1);
+      expect(scope.isDone()).toBe(true);
+    });
+  });
+
+  describe('searchIter', () => {
+    const resultHtml = (url, title) => `
+      <div class="result">
+        <a class="result__a" href="${url}">${title}</a>
+      </div>
+    `;
+
+    const nextForm = (offset) => `
+      <div class="nav-link">
+        <form action="/html/" method="post">
+          <input type="submit" value="Next" />
+          <input type="hidden" name="q" value="streamed" />
+          <input type="hidden" name="s" value="${offset}" />
+        </form>
+      </div>
+    `;
+
+    const options = { rateLimit: 0, checkRobots: false };
+
+    it('should yield results across pages without duplicates', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'streamed' })
+        .reply(200, resultHtml('https://one.com', 'One') +
+          resultHtml('https://two.com', 'Two') + nextForm(2))
+        .post('/html/', { q: 'streamed', s: '2' })
+        .reply(200, resultHtml('https://two.com', 'Two again') +
+          resultHtml('https://three.com', 'Three'));
+
+      const results = [];
+      for await (const result of searchIter('streamed', options)) {
+        results.push(result);
+      }
+
+      expect(results.map(result => result.url)).toEqual([
+        'https://one.com/',
+        'https://two.com/',
+        'https://three.com/'
+      ]);
+      expect(results.map(result => result.rank)).toEqual([1, 2, 3]);
+    });
+
+    it('should not fetch further pages once the consumer stops', async () => {
+      const scope = nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'streamed' })
+        .reply(200, resultHtml('https://one.com', 'One') +
+          resultHtml('https://two.com', 'Two') + nextForm(2))
+        .post('/html/')
+        .reply(200, resultHtml('https://three.com', 'Three'));
+
+      const titles = [];
+      for await (const result of searchIter('streamed', options)) {
+        titles.push(result.title);
+        if (titles.length === 2) {
+          break;
+        }
+      }
+
+      expect(titles).toEqual(['One', 'Two']);
+      expect(scope.pendingMocks()).toHaveLength(1);
+    });
+
+    it('should stop at max without requesting the next page', async () => {
+      const scope = nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'streamed' })
+        .reply(200, resultHtml('https://one.com', 'One') + nextForm(1))
+        .post('/html/')
+        .reply(200, resultHtml('https://two.com', 'Two'));
+
+      const results = [];
+      for await (const result of searchIter('streamed', { ...options, max: 1 })) {
+        results.push(result);
+      }
+
+      expect(results).toHaveLength(1);
+      expect(scope.pendingMocks()).toHaveLength(1);
+    });
+
+    it('should raise errors from the iteration that fetches the page', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'streamed' })
+        .reply(200, resultHtml('https://one.com', 'One') + nextForm(1))
+        .post('/html/')
+        .reply(404, 'Not found');
+
+      const iterator = searchIter('streamed', { ...options, retries: 0 });
+
+      expect((await iterator.next()).value.title).toBe('One');
+      await expect(iterator.next()).rejects.toMatchObject({
+        code: 'HTTP_STATUS',
+        message: expect.stringContaining('Search failed for query "streamed"')
+      });
+    });
+  });
+
+  describe('searchMany', () => {
+    const resultHtml = (url, title) => `
+      <div class="result">
+        <a class="result__a" href="${url}">${title}</a>
+      </div>
+    `;
+
+    const options = { rateLimit: 0, checkRobots: false, retries: 0, useCache: false };
+
+    it('should search every query and isolate failures', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'ducks' })
+        .reply(200, resultHtml('https://ducks.com', 'Ducks'))
+        .get('/html/')
+        .query({ q: 'geese' })
+        .reply(404, 'Not found')
+        .get('/html/')
+        .query({ q: 'swans site:swans.org' })
+        .reply(200, resultHtml('https://swans.org', 'Swans'));
+
+      const progress = [];
+      const entries = await searchMany(['ducks', 'geese', { terms: 'swans', site: 'swans.org' }], {
+        ...options,
+        queryConcurrency: 2,
+        onProgress: (entry, counts) => progress.push([entry.index, counts])
+      });
+
+      expect(entries.map(entry => entry.index)).toEqual([0, 1, 2]);
+      expect(entries[0]).toMatchObject({ query: 'ducks', error: null, errorCode: null });
+      expect(entries[0].results[0].title).toBe('Ducks');
+      expect(entries[1]).toMatchObject({ query: 'geese', results: null, errorCode: 'HTTP_STATUS' });
+      expect(entries[2].results[0].url).toBe('https://swans.org/');
+
+      expect(progress).toHaveLength(3);
+      expect(progress[2][1]).toEqual({ completed: 3, failed: 1, total: 3, skipped: 0 });
+    });
+
+    it('should resume from the entries of an earlier run', async () => {
+      const scope = nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'geese' })
+        .reply(200, resultHtml('https://geese.com', 'Geese'));
+
+      const earlier = [
+        { query: 'ducks', index: 0, results: [{ title: 'Ducks', url: 'https://ducks.com/' }], error: null },
+        { query: 'geese', index: 1, results: null, error: 'HTTP 404: Not Found', errorCode: 'HTTP_STATUS' }
+      ];
+      const onProgress = jest.fn();
+
+      const entries = await searchMany(['ducks', 'geese'], { ...options, resumeFrom: earlier, onProgress });
+
+      expect(scope.isDone()).toBe(true);
+      expect(entries[0]).toMatchObject({ query: 'ducks', resumed: true });
+      expect(entries[1].results[0].title).toBe('Geese');
+      expect(onProgress).toHaveBeenCalledTimes(1);
+      expect(onProgress.mock.calls[0][1]).toEqual({ completed: 1, failed: 0, total: 1, skipped: 1 });
+    });
+
+    it('should fail the whole batch when the signal aborts', async () => {
+      await expect(searchMany(['ducks', 'geese'], { ...options, signal: AbortSignal.abort() }))
+        .rejects.toMatchObject({ code: 'ABORTED' });
+      await expect(searchMany('ducks')).rejects.toMatchObject({ code: 'INVALID_INPUT' });
+    });
+
+    it('should reject invalid concurrency before searching', async () => {
+      for (const queryConcurrency of ['3', 0, 1.5, NaN]) {
+        await expect(searchMany(['ducks'], { ...options, queryConcurrency }))
+          .rejects.toMatchObject({ code: 'INVALID_INPUT' });
+      }
+      await expect(searchMany(['ducks'], { ...options, queryConcurrency: 'many' }))
+        .rejects.toThrow('Invalid queryConcurrency "many": expected a whole number of at least 1');
+    });
+  });
+
+  describe('searchInstantAnswer', () => {
+    const instantFixture = {
+      Heading: 'Node.js',
+      Type: 'A',
+      AbstractText: 'Node.js is a JavaScript runtime.',
+      AbstractSource: 'Wikipedia',
+      AbstractURL: 'https://en.wikipedia.org/wiki/Node.js',
+      RelatedTopics: []
+    };
+
+    it('should return a normalized instant answer', async () => {
+      nock('https://api.duckduckgo.com')
+        .get('/')
+        .query(true)
+        .reply(200, instantFixture);
+
+      const answer = await searchInstantAnswer('node.js', { useCache: false, checkRobots: false });
+
+      expect(answer.heading).toBe('Node.js');
+      expect(answer.abstract.source).toBe('Wikipedia');
+    });
+
+    it('should return null when there is no instant answer', async () => {
+      nock('https://api.duckduckgo.com')
+        .get('/')
+        .query(true)
+        .reply(200, { Heading: '', AbstractText: '', RelatedTopics: [] });
+
+      const answer = await searchInstantAnswer('asdfqwer', { useCache: false, checkRobots: false });
+
+      expect(answer).toBeNull();
+    });
+
+    it('should cache instant answers', async () => {
+      const scope = nock('https://api.duckduckgo.com')
+        .get('/')
+        .query(true)
+        .reply(200, instantFixture);
+
+      await searchInstantAnswer('cached instant', { checkRobots: false });
+      const second = await searchInstantAnswer('cached instant', { checkRobots: false });
+
+      expect(second.cached).toBe(true);
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('should return web results alongside the instant answer from search()', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query(true)
+        .reply(200, `
+          <div class="result">
+            <a class="result__a" href="https://nodejs.org">Node.js</a>
+          </div>
+        `);
+
+      nock('https://api.duckduckgo.com')
+        .get('/')
+        .query(true)
+        .reply(200, instantFixture);
+
+      const response = await search('node.js', {
+        useCache: false,
+        useInstantApi: true,
+        checkRobots: false
+      });
+
+      expect(response.results).toHaveLength(1);
+      expect(response.instantAnswer.heading).toBe('Node.js');
+    });
+  });
+
+  describe('searchImages', () => {
+    const image = (n) => ({
+      title: `Image ${n}`,
+      image: `https://img.example.com/${n}.jpg`,
+      thumbnail: `https://thumbs.example.com/${n}.jpg`,
+      url: `https://example.com/page/${n}`,
+      width: 800,
+      height: 600
+    });
+
+    it('should acquire a token and follow next pages', async () => {
+      nock('https://duckduckgo.com')
+        .get('/')
+        .query({ q: 'mallard', ia: 'images', iax: 'images' })
+        .reply(200, '<script>vqd="4-12345"</script>')
+        .get('/i.js')
+        .query(query => query.vqd === '4-12345' && query.f === 'size:Large,color:,type:photo,layout:')
+        .reply(200, { results: [image(1), image(2)], next: 'i.js?q=mallard&s=2' })
+        .get('/i.js')
+        .query({ q: 'mallard', s: '2', vqd: '4-12345' })
+        .reply(200, { results: [image(2), image(3)] });
+
+      const results = await searchImages('mallard', {
+        max: 3,
+        size: 'large',
+        type: 'photo',
+        rateLimit: 0,
+        useCache: false,
+        checkRobots: false
+      });
+
+      expect(results.map(result => result.title)).toEqual(['Image 1', 'Image 2', 'Image 3']);
+      expect(results.map(result => result.rank)).toEqual([1, 2, 3]);
+      expect(results[0].thumbnail).toBe('https://thumbs.example.com/1.jpg');
+    });
+
+    it('should keep distinct images from the same page', async () => {
+      const fromGallery = (n) => ({ ...image(n), url: 'https://example.com/gallery' });
+
+      nock('https://duckduckgo.com')
+        .get('/')
+        .query({ q: 'gallery', ia: 'images', iax: 'images' })
+        .reply(200, '<script>vqd="4-678"</script>')
+        .get('/i.js')
+        .query(query => query.vqd === '4-678' && !query.s)
+        .reply(200, { results: [fromGallery(1), fromGallery(2)], next: 'i.js?q=gallery&s=2' })
+        .get('/i.js')
+        .query({ q: 'gallery', s: '2', vqd: '4-678' })
+        .reply(200, { results: [fromGallery(2), fromGallery(3)] });
+
+      const results = await searchImages('gallery', {
+        max: 5,
+        rateLimit: 0,
+        useCache: false,
+        checkRobots: false
+      });
+
+      expect(results.map(result => result.image)).toEqual([
+        'https://img.example.com/1.jpg',
+        'https://img.example.com/2.jpg',
+        'https://img.example.com/3.jpg'
+      ]);
+    });
+
+    it('should fail clearly when no token is found', async () => {
+      nock('https://duckduckgo.com')
+        .get('/')
+        .query(true)
+        .reply(200, '<html></html>');
+
+      await expect(searchImages('mallard', {
+        rateLimit: 0,
+        useCache: false,
+        checkRobots: false
+      })).rejects.toThrow('search token');
+    });
+
+    it('should reject invalid image filters', async () => {
+      await expect(searchImages('mallard', { size: 'huge' })).rejects.toThrow('Invalid size');
+    });
+  });
+
+  describe('searchNews', () => {
+    const article = (n, date) => ({
+      title: `Article ${n}`,
+      url: `https://news.example.com/${n}`,
+      excerpt: `Excerpt ${n}`,
+      source: 'Example News',
+      date
+    });
+
+    it('should pass the time range and sort articles by date', async () => {
+      nock('https://duckduckgo.com')
+        .get('/')
+        .query({ q: 'node.js', ia: 'news', iax: 'news' })
+        .reply(200, '<script>vqd="4-777"</script>')
+        .get('/news.js')
+        .query(query => query.vqd === '4-777' && query.df === 'w')
+        .reply(200, {
+          results: [article(1, 1717000000), article(2, undefined), article(3, 1717200000)]
+        });
+
+      const results = await searchNews('node.js', {
+        timeRange: 'week',
+        sortBy: 'date',
+        rateLimit: 0,
+        useCache: false,
+        checkRobots: false
+      });
+
+      expect(results.map(result => result.title)).toEqual(['Article 3', 'Article 1', 'Article 2']);
+      expect(results.map(result => result.rank)).toEqual([1, 2, 3]);
+      expect(results[0].publisher).toBe('Example News');
+    });
+
+    it('should reject an invalid sort order', async () => {
+      await expect(searchNews('node.js', { sortBy: 'popularity' })).rejects.toThrow('Invalid sortBy');
+    });
+  });
+
+  describe('searchVideos', () => {
+    it('should search videos through the shared cache', async () => {
+      const scope = nock('https://duckduckgo.com')
+        .get('/')
+        .query({ q: 'sourdough', ia: 'videos', iax: 'videos' })
+        .reply(200, '<script>vqd="4-555"</script>')
+        .get('/v.js')
+        .query(query => query.vqd === '4-555' && query.df === 'm')
+        .reply(200, {
+          results: [{
+            content: 'https://www.youtube.com/watch?v=abc123',
+            title: 'Sourdough for beginners',
+            duration: '12:30',
+            publisher: 'YouTube',
+            statistics: { viewCount: 42 }
+          }]
+        });
+
+      const options = { timeRange: 'month', rateLimit: 0, checkRobots: false };
+      const first = await searchVideos('sourdough', options);
+      const second = await searchVideos('sourdough', options);
+
+      expect(scope.isDone()).toBe(true);
+      expect(first[0]).toMatchObject({ durationSeconds: 750, viewCount: 42, publisher: 'YouTube' });
+      expect(first[0].cached).toBeUndefined();
+      expect(second[0].cached).toBe(true);
+    });
+  });
+
+  describe('searchAndRead', () => {
+    it('should read every result and report failed pages', async () => {
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'node streams' })
+        .reply(200, `
+          <div class="result">
+            <a class="result__a" href="https://docs.example.com/streams">Streams</a>
+          </div>
+          <div class="result">
+            <a class="result__a" href="https://broken.example.com/page">Broken</a>
+          </div>
+          <div class="result">
+            <a class="result__a" href="https://docs.example.com/streams.pdf">Streams (PDF)</a>
+          </div>
+        `);
+
+      nock('https://docs.example.com')
+        .get('/streams')
+        .reply(200, '<title>Streams</title><main><h1>Streams</h1><p>Streams process data in chunks.</p></main>')
+        .get('/streams.pdf')
+        .reply(200, '%PDF-1.7', { 'Content-Type': 'application/pdf' });
+
+      nock('https://broken.example.com')
+        .get('/page')
+        .reply(404, 'Not found');
+
+      const results = await searchAndRead('node streams', {
+        retries: 0,
+        rateLimit: 0,
+        checkRobots: false,
+        useCache: false,
+        readConcurrency: 2
+      });
+
+      expect(results).toHaveLength(3);
+      expect(results[0]).toMatchObject({ title: 'Streams', rank: 1, error: null });
+      expect(results[0].page).toMatchObject({
+        url: 'https://docs.example.com/streams',
+        title: 'Streams',
+        canonicalUrl: 'https://docs.example.com/streams',
+        truncated: false
+      });
+      expect(results[0].page.markdown).toContain('Streams process data in chunks.');
+      expect(results[1].page).toBeNull();
+      expect(results[1].error).toContain('HTTP 404');
+      expect(results[2]).toMatchObject({
+        page: null,
+        error: 'Expected HTML, got application/pdf',
+        errorCode: 'UNSUPPORTED_CONTENT_TYPE'
+      });
+    });
+
+    it('should reject invalid concurrency before searching', async () => {
+      await expect(searchAndRead('node streams', { checkRobots: false, readConcurrency: 'two' }))
+        .rejects.toThrow('Invalid readConcurrency "two": expected a whole number of at least 1');
+      await expect(searchAndRead('node streams', { checkRobots: false, readConcurrency: 0 }))
+        .rejects.toMatchObject({ code: 'INVALID_INPUT' });
+    });
+  });
+});
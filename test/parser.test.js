@@ -2,7 +2,28 @@
  * Tests for parser.js
  */
 
-const { parseSearchHtml } = require('../src/parser');
+const {
+  parseSearchHtml,
+  parseSearchPage,
+  detectBlockPage,
+  parseNextPageForm,
+  parseInstantAnswer,
+  parseVqdToken,
+  parseImageResults,
+  parseNewsResults,
+  parseVideoResults
+} = require('../src/parser');
+const { RESULT_SCHEMAS, validateSchema } = require('../src/schema');
+
+/**
+ * Checks results against the published result schema, so parser changes that break it fail
+ * @param {Array<Object>} results - Parsed results
+ * @param {string} kind - Key of RESULT_SCHEMAS
+ */
+function expectResultSchema(results, kind) {
+  expect(() => validateSchema({ type: 'array', items: RESULT_SCHEMAS[kind] }, results, { path: 'results' }))
+    .not.toThrow();
+}
 
 describe('parser', () => {
   describe('parseSearchHtml', () => {
@@ -42,6 +63,7 @@ describe('parser', () => {
       expect(results[0]).toHaveProperty('rank');
       expect(results[0]).toHaveProperty('source');
       expect(results[0]).toHaveProperty('retrievedAt');
+      expectResultSchema(results, 'web');
     });
 
     it('should respect maxResults limit', () => {
@@ -99,6 +121,20 @@ describe('parser', () => {
       expect(results.length).toBeGreaterThan(0);
       expect(results[0].title).toBeTruthy();
       expect(results[0].snippet).toBeDefined();
+      expectResultSchema(results, 'web');
+    });
+
+    it('should produce schema-conforming results from unrecognized markup', () => {
+      const html = `
+        <div class="results-item"><a href="https://example.com/other?utm_source=x">Other layout</a> More text</div>
+        <div class="results-item"><a>No link</a></div>
+      `;
+
+      const results = parseSearchHtml(html);
+
+      expect(results).toHaveLength(2);
+      expect(results[1]).toMatchObject({ title: 'No link', url: '', source: '' });
+      expectResultSchema(results, 'web');
     });
 
     it('should assign sequential ranks', () => {
@@ -116,5 +152,405 @@ describe('parser', () => {
       expect(results[2].rank).toBe(3);
     });
   });
-});
 
+  describe('parseSearchPage', () => {
+    const html = `
+      <div id="did_you_mean">
+        Including results for <a href="/html/?q=javascript">javascript</a>.
+        Search only for <a href="/html/?q=javasript">javasript</a>?
+      </div>
+      <div class="zci-wrapper">
+        <div class="zci">
+          <h1 class="zci__heading"><a href="https://en.wikipedia.org/wiki/JavaScript">JavaScript</a></h1>
+          <div class="zci__result" id="zero_click_abstract">
+            JavaScript is a programming language of the Web.
+            <a href="https://en.wikipedia.org/wiki/JavaScript">More at Wikipedia</a>
+          </div>
+        </div>
+      </div>
+      <div class="result results_links result--ad">
+        <a class="result__a" href="https://duckduckgo.com/y.js?ad_provider=bing">Learn JS Fast</a>
+        <a class="result__snippet">Sponsored course.</a>
+        <a class="result__url">ads.example.com</a>
+      </div>
+      <div class="result results_links">
+        <a class="result__a" href="https://developer.mozilla.org/docs/Web/JavaScript">JavaScript | MDN</a>
+        <a class="result__snippet">JavaScript reference.</a>
+      </div>
+      <div class="result results_links">
+        <a class="result__a" href="https://javascript.info/">The Modern JavaScript Tutorial</a>
+      </div>
+      <div class="related-searches">
+        <a href="/html/?q=javascript+tutorial">javascript tutorial</a>
+        <a href="/html/?q=javascript+array">javascript array</a>
+        <a href="/html/?q=javascript+tutorial">javascript tutorial</a>
+      </div>
+      <div class="nav-link">
+        <form action="/html/" method="post">
+          <input type="submit" value="Next" />
+          <input type="hidden" name="s" value="10" />
+        </form>
+      </div>
+    `;
+
+    it('should keep sponsored results out of the organic ranks', () => {
+      const page = parseSearchPage(html);
+
+      expect(page.results.map(result => result.title)).toEqual([
+        'JavaScript | MDN',
+        'The Modern JavaScript Tutorial'
+      ]);
+      expect(page.results.map(result => result.rank)).toEqual([1, 2]);
+      expect(page.results[0].ad).toBeUndefined();
+      expect(page.ads).toHaveLength(1);
+      expect(page.ads[0]).toMatchObject({ title: 'Learn JS Fast', rank: 1, ad: true });
+      expect(parseSearchHtml(html)).toHaveLength(2);
+      expectResultSchema(page.results, 'web');
+      expectResultSchema(page.ads, 'web');
+    });
+
+    it('should parse spelling, zero-click box, related searches and pagination', () => {
+      const page = parseSearchPage(html);
+
+      expect(page.spelling).toEqual({ correctedQuery: 'javascript', didYouMean: null });
+      expect(page.zeroClick).toEqual({
+        heading: 'JavaScript',
+        text: 'JavaScript is a programming language of the Web.',
+        url: 'https://en.wikipedia.org/wiki/JavaScript',
+        source: 'Wikipedia'
+      });
+      expect(page.relatedSearches).toEqual(['javascript tutorial', 'javascript array']);
+      expect(page.hasMore).toBe(true);
+    });
+
+    it('should report suggested spellings separately', () => {
+      const page = parseSearchPage('<div id="did_you_mean">Did you mean <a href="/html/?q=rust">rust</a>?</div>');
+      expect(page.spelling).toEqual({ correctedQuery: null, didYouMean: 'rust' });
+    });
+
+    it('should not pick up challenge markup from a block page', () => {
+      const html = `
+        <div class="anomaly-modal__modal">
+          <div class="anomaly-modal__result"><a href="/anomaly.js?challenge">Select all squares</a></div>
+        </div>
+      `;
+      expect(parseSearchPage(html).results).toEqual([]);
+    });
+
+    it('should return an empty page for empty HTML', () => {
+      expect(parseSearchPage('')).toEqual({
+        results: [],
+        ads: [],
+        spelling: { correctedQuery: null, didYouMean: null },
+        zeroClick: null,
+        relatedSearches: [],
+        hasMore: false
+      });
+    });
+  });
+
+  describe('detectBlockPage', () => {
+    it('should recognize anomaly and CAPTCHA pages', () => {
+      expect(detectBlockPage('<form id="challenge-form"></form>')).toBe('anomaly');
+      expect(detectBlockPage('<script src="https://duckduckgo.com/anomaly.js"></script>')).toBe('anomaly');
+      expect(detectBlockPage('<div class="g-recaptcha" data-sitekey="x"></div>')).toBe('captcha');
+    });
+
+    it('should not flag results that mention CAPTCHAs', () => {
+      const html = `
+        <div class="result">
+          <a class="result__a" href="https://example.com/captcha">How the anomaly-modal and g-recaptcha work</a>
+        </div>
+      `;
+      expect(detectBlockPage(html)).toBeNull();
+      expect(detectBlockPage('')).toBeNull();
+    });
+  });
+
+  describe('parseNextPageForm', () => {
+    it('should return null when there is no next page', () => {
+      expect(parseNextPageForm('')).toBeNull();
+      expect(parseNextPageForm('<div class="result"></div>')).toBeNull();
+    });
+
+    it('should extract the hidden fields of the Next form', () => {
+      const html = `
+        <div class="nav-link">
+          <form action="/html/" method="post">
+            <input type="submit" class="btn" value="Previous" />
+            <input type="hidden" name="s" value="0" />
+          </form>
+        </div>
+        <div class="nav-link">
+          <form action="/html/" method="post">
+            <input type="submit" class="btn btn--alt" value="Next" />
+            <input type="hidden" name="q" value="node.js" />
+            <input type="hidden" name="s" value="10" />
+            <input type="hidden" name="nextParams" value="" />
+            <input type="hidden" name="dc" value="11" />
+            <input type="hidden" name="vqd" value="4-12345" />
+          </form>
+        </div>
+      `;
+
+      expect(parseNextPageForm(html)).toEqual({
+        action: '/html/',
+        method: 'POST',
+        fields: {
+          q: 'node.js',
+          s: '10',
+          nextParams: '',
+          dc: '11',
+          vqd: '4-12345'
+        }
+      });
+    });
+  });
+
+  describe('parseInstantAnswer', () => {
+    const fixture = {
+      Heading: 'Node.js',
+      Type: 'A',
+      AbstractText: 'Node.js is a cross-platform JavaScript runtime environment.',
+      AbstractSource: 'Wikipedia',
+      AbstractURL: 'https://en.wikipedia.org/wiki/Node.js',
+      Image: '/i/nodejs.png',
+      Answer: '',
+      Definition: '',
+      Infobox: {
+        content: [
+          { label: 'Written in', value: 'C++, JavaScript', data_type: 'string' },
+          { label: 'Website', value: { url: 'nodejs.org' }, data_type: 'official_website' }
+        ]
+      },
+      RelatedTopics: [
+        { FirstURL: 'https://duckduckgo.com/npm', Text: 'npm - package manager', Icon: { URL: '' } },
+        {
+          Name: 'See also',
+          Topics: [
+            { FirstURL: 'https://duckduckgo.com/Deno', Text: 'Deno - runtime', Icon: { URL: '/i/deno.png' } }
+          ]
+        }
+      ]
+    };
+
+    it('should return null for empty or missing responses', () => {
+      expect(parseInstantAnswer(null)).toBeNull();
+      expect(parseInstantAnswer({ Heading: '', AbstractText: '', RelatedTopics: [], Infobox: '' })).toBeNull();
+    });
+
+    it('should normalize abstract, infobox and image', () => {
+      const answer = parseInstantAnswer(fixture);
+
+      expect(answer.heading).toBe('Node.js');
+      expect(answer.type).toBe('article');
+      expect(answer.abstract).toEqual({
+        text: 'Node.js is a cross-platform JavaScript runtime environment.',
+        source: 'Wikipedia',
+        url: 'https://en.wikipedia.org/wiki/Node.js'
+      });
+      expect(answer.answer).toBeNull();
+      expect(answer.definition).toBeNull();
+      expect(answer.infobox).toEqual([{ label: 'Written in', value: 'C++, JavaScript' }]);
+      expect(answer.image).toBe('https://duckduckgo.com/i/nodejs.png');
+      expect(answer.sourceUrl).toBe('https://en.wikipedia.org/wiki/Node.js');
+      expect(answer).toHaveProperty('retrievedAt');
+    });
+
+    it('should flatten grouped related topics', () => {
+      const answer = parseInstantAnswer(fixture);
+
+      expect(answer.relatedTopics).toHaveLength(2);
+      expect(answer.relatedTopics[0]).toEqual({
+        text: 'npm - package manager',
+        url: 'https://duckduckgo.com/npm',
+        icon: '',
+        category: ''
+      });
+      expect(answer.relatedTopics[1].category).toBe('See also');
+      expect(answer.relatedTopics[1].icon).toBe('https://duckduckgo.com/i/deno.png');
+    });
+
+    it('should normalize direct answers and definitions', () => {
+      const answer = parseInstantAnswer({
+        Answer: { result: 42 },
+        AnswerType: 'calc',
+        Definition: 'duck: a waterbird with a broad blunt bill.',
+        DefinitionSource: 'Wordnik',
+        DefinitionURL: 'https://www.wordnik.com/words/duck'
+      });
+
+      expect(answer.answer).toEqual({ text: '42', type: 'calc' });
+      expect(answer.definition.source).toBe('Wordnik');
+      expect(answer.sourceUrl).toBe('https://www.wordnik.com/words/duck');
+    });
+  });
+
+  describe('parseVqdToken', () => {
+    it('should extract the token from the different embeddings', () => {
+      expect(parseVqdToken('<script>vqd="4-123456789012345"</script>')).toBe('4-123456789012345');
+      expect(parseVqdToken("nrj('/d.js?q=duck&vqd='4-987654321')")).toBe('4-987654321');
+      expect(parseVqdToken('vqd=4-222&p=1')).toBe('4-222');
+    });
+
+    it('should return null when there is no token', () => {
+      expect(parseVqdToken('<html></html>')).toBeNull();
+      expect(parseVqdToken(null)).toBeNull();
+    });
+  });
+
+  describe('parseImageResults', () => {
+    it('should normalize image results', () => {
+      const results = parseImageResults({
+        results: [
+          {
+            title: 'Mallard duck',
+            image: 'https://upload.example.org/mallard.jpg',
+            thumbnail: 'https://tse.example.net/th?id=1',
+            url: 'https://www.example.org/wiki/Mallard?utm_source=ddg',
+            width: 1920,
+            height: '1080',
+            source: 'Bing'
+          },
+          { title: 'No image' }
+        ]
+      });
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({
+        title: 'Mallard duck',
+        url: 'https://www.example.org/wiki/Mallard',
+        image: 'https://upload.example.org/mallard.jpg',
+        thumbnail: 'https://tse.example.net/th?id=1',
+        width: 1920,
+        height: 1080,
+        source: 'example.org',
+        rank: 1
+      });
+      expect(results[0]).toHaveProperty('retrievedAt');
+      expectResultSchema(results, 'image');
+    });
+
+    it('should handle missing results', () => {
+      expect(parseImageResults(null)).toEqual([]);
+      expect(parseImageResults({})).toEqual([]);
+    });
+  });
+
+  describe('parseNewsResults', () => {
+    it('should normalize news articles', () => {
+      const results = parseNewsResults({
+        results: [
+          {
+            date: 1717236000,
+            excerpt: 'The <b>Node.js</b> team released version 22 &amp; more.',
+            image: 'https://images.example.com/node.jpg',
+            relative_time: '2 days ago',
+            source: 'Example News',
+            title: 'Node.js 22 released',
+            url: 'https://news.example.com/node-22?utm_source=ddg'
+          },
+          {
+            title: 'Undated article',
+            url: 'https://blog.example.org/post'
+          },
+          { title: 'No url' }
+        ]
+      });
+
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({
+        title: 'Node.js 22 released',
+        url: 'https://news.example.com/node-22',
+        excerpt: 'The Node.js team released version 22 & more.',
+        publisher: 'Example News',
+        publishedAt: '2024-06-01T10:00:00.000Z',
+        image: 'https://images.example.com/node.jpg',
+        rank: 1
+      });
+      expect(results[1]).toMatchObject({
+        publisher: 'blog.example.org',
+        publishedAt: null,
+        image: null,
+        rank: 2
+      });
+      expectResultSchema(results, 'news');
+    });
+
+    it('should handle missing results', () => {
+      expect(parseNewsResults(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseVideoResults', () => {
+    const fixture = {
+      results: [
+        {
+          content: 'https://www.youtube.com/watch?v=abc123',
+          description: 'Learn <b>sourdough</b> baking from scratch.',
+          duration: '1:02:03',
+          embed_url: 'https://www.youtube.com/embed/abc123?autoplay=1',
+          images: {
+            large: 'https://tse.example.net/large.jpg',
+            medium: 'https://tse.example.net/medium.jpg',
+            small: 'https://tse.example.net/small.jpg'
+          },
+          provider: 'Bing',
+          published: '2024-03-15T08:30:00.0000000',
+          publisher: 'YouTube',
+          statistics: { viewCount: 120345 },
+          title: 'Sourdough for beginners',
+          uploader: 'The Bread Channel'
+        },
+        {
+          content: 'https://vimeo.com/98765',
+          duration: '4:05',
+          images: { small: 'https://tse.example.net/vimeo-small.jpg' },
+          statistics: { viewCount: null },
+          title: 'Quick loaf'
+        },
+        { title: 'No content url' }
+      ]
+    };
+
+    it('should normalize video results', () => {
+      const results = parseVideoResults(fixture);
+
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({
+        title: 'Sourdough for beginners',
+        url: 'https://www.youtube.com/watch?v=abc123',
+        description: 'Learn sourdough baking from scratch.',
+        duration: '1:02:03',
+        durationSeconds: 3723,
+        publisher: 'YouTube',
+        uploader: 'The Bread Channel',
+        viewCount: 120345,
+        uploadedAt: '2024-03-15T08:30:00.000Z',
+        thumbnail: 'https://tse.example.net/large.jpg',
+        rank: 1
+      });
+      expect(results[0]).toHaveProperty('retrievedAt');
+      expectResultSchema(results, 'video');
+    });
+
+    it('should fall back when optional fields are missing', () => {
+      const [, video] = parseVideoResults(fixture);
+
+      expect(video).toMatchObject({
+        description: '',
+        durationSeconds: 245,
+        publisher: 'vimeo.com',
+        uploader: null,
+        viewCount: null,
+        uploadedAt: null,
+        thumbnail: 'https://tse.example.net/vimeo-small.jpg',
+        rank: 2
+      });
+    });
+
+    it('should handle missing results', () => {
+      expect(parseVideoResults({ results: 'none' })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Tests for query.js
+ */
+
+const { compileQuery } = require('../src/query');
+
+describe('query', () => {
+  describe('compileQuery', () => {
+    it('should return query strings unchanged', () => {
+      expect(compileQuery('site:example.com report')).toBe('site:example.com report');
+    });
+
+    it('should compile every field in a stable order', () => {
+      expect(compileQuery({
+        excludeSites: ['spam.example', 'ads.example'],
+        exclude: ['draft', 'old version'],
+        filetype: '.PDF',
+        site: 'https://Example.com/',
+        inurl: 'reports',
+        intitle: 'annual report',
+        phrases: 'fiscal year 2024',
+        terms: 'revenue  growth'
+      })).toBe(
+        'revenue growth "fiscal year 2024" intitle:"annual report" inurl:reports ' +
+        'site:example.com filetype:pdf -draft -"old version" -site:spam.example -site:ads.example'
+      );
+    });
+
+    it('should quote terms that would be read as operators', () => {
+      expect(compileQuery({ terms: ['-negative', 'site:fake.com', '+plus'] }))
+        .toBe('"-negative" "site:fake.com" "+plus"');
+    });
+
+    it('should reject unknown fields', () => {
+      expect(() => compileQuery({ terms: 'x', domain: 'example.com' })).toThrow('Unknown query field "domain"');
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => compileQuery({ phrases: 'say "hi"' })).toThrow('double quotes');
+      expect(() => compileQuery({ site: 'not a domain' })).toThrow('is not a domain');
+      expect(() => compileQuery({ site: ['a.com', 'b.com'] })).toThrow('single value');
+      expect(() => compileQuery({ filetype: 'p/df' })).toThrow('is not a file extension');
+      expect(() => compileQuery({ terms: 42 })).toThrow('expected a string');
+    });
+
+    it('should reject empty query objects', () => {
+      expect(() => compileQuery({})).toThrow('at least one');
+      expect(() => compileQuery({ terms: '  ', exclude: [] })).toThrow('at least one');
+      expect(() => compileQuery(['terms'])).toThrow('query object');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for reader.js
+ */
+
+const { extractArticle, renderMarkdown } = require('../src/reader');
+
+const PAGE_URL = 'https://example.com/blog/node-22';
+
+const articleHtml = `
+  <html>
+    <head>
+      <title>Example Blog | Node.js 22</title>
+      <meta property="og:title" content="Node.js 22 released" />
+      <meta name="author" content="Jane Doe" />
+      <meta property="article:published_time" content="2024-04-24T10:00:00Z" />
+      <link rel="canonical" href="/blog/node-22?utm_source=feed" />
+    </head>
+    <body>
+      <nav><a href="/">Home</a> <a href="/about">About</a></nav>
+      <article>
+        <h1>Node.js 22 released</h1>
+        <p>Node.js 22 ships <strong>require(esm)</strong> and a <a href="/docs">new   docs</a> site.</p>
+        <h2>Highlights</h2>
+        <ul><li>V8 12.4</li><li>Maglev <em>enabled</em></li></ul>
+        <pre><code>node --run test
+</code></pre>
+        <blockquote><p>Fast.</p></blockquote>
+        <script>trackPageView();</script>
+        <aside>Subscribe to our newsletter</aside>
+      </article>
+      <footer>Copyright</footer>
+    </body>
+  </html>
+`;
+
+describe('reader', () => {
+  describe('extractArticle', () => {
+    it('should extract metadata and the main content as Markdown', () => {
+      const article = extractArticle(articleHtml, PAGE_URL);
+
+      expect(article).toEqual({
+        title: 'Node.js 22 released',
+        byline: 'Jane Doe',
+        publishedAt: '2024-04-24T10:00:00.000Z',
+        canonicalUrl: 'https://example.com/blog/node-22',
+        content: [
+          'Node.js 22 ships **require(esm)** and a [new docs](https://example.com/docs) site.',
+          '## Highlights',
+          '- V8 12.4\n- Maglev _enabled_',
+          '```\nnode --run test\n```',
+          '> Fast.'
+        ].join('\n\n')
+      });
+    });
+
+    it('should pick the element with the most paragraph text without article markup', () => {
+      const article = extractArticle(`
+        <title>Plain page</title>
+        <div class="sidebar"><p>Short.</p></div>
+        <div class="content">
+          <p>The first long paragraph of the actual content.</p>
+          <p>A second paragraph with more of the story.</p>
+        </div>
+      `, 'https://example.org/plain');
+
+      expect(article.title).toBe('Plain page');
+      expect(article.byline).toBeNull();
+      expect(article.publishedAt).toBeNull();
+      expect(article.canonicalUrl).toBe('https://example.org/plain');
+      expect(article.content).toBe(
+        'The first long paragraph of the actual content.\n\nA second paragraph with more of the story.'
+      );
+    });
+
+    it('should escape Markdown characters in text', () => {
+      const article = extractArticle('<main><p>Use *args and [brackets]</p></main>', PAGE_URL);
+      expect(article.content).toBe('Use \\*args and \\[brackets\\]');
+    });
+  });
+
+  describe('renderMarkdown', () => {
+    it('should render a header with byline, date and source', () => {
+      const { markdown, truncated } = renderMarkdown(extractArticle(articleHtml, PAGE_URL));
+
+      expect(truncated).toBe(false);
+      expect(markdown.startsWith([
+        '# Node.js 22 released',
+        'By Jane Doe · Published 2024-04-24',
+        'Source: <https://example.com/blog/node-22>',
+        'Node.js 22 ships'
+      ].join('\n\n'))).toBe(true);
+    });
+
+    it('should cut long content at a paragraph boundary', () => {
+      const article = {
+        title: 'Long',
+        byline: null,
+        publishedAt: null,
+        canonicalUrl: PAGE_URL,
+        content: 'First paragraph.\n\nSecond paragraph that does not fit.'
+      };
+
+      const { markdown, truncated } = renderMarkdown(article, { maxLength: 30 });
+
+      expect(truncated).toBe(true);
+      expect(markdown).toBe(`# Long\n\nSource: <${PAGE_URL}>\n\nFirst paragraph.\n\n…\n`);
+    });
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * Tests for robots.js
+ */
+
+const http = require('http');
+const nock = require('nock');
+const {
+  parseRobotsTxt,
+  matchesRobotsPattern,
+  evaluateRobots,
+  isAllowedByRobots,
+  getCrawlDelay,
+  fetchRobots,
+  createRobotsCache,
+  getProductToken
+} = require('../src/robots');
+const { checkRobotsTxt } = require('../src/utils');
+
+const USER_AGENT = 'quackfetch/0.1 (+https://github.com/your-repo/quackfetch)';
+
+describe('robots', () => {
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('getProductToken', () => {
+    it('should extract the product token from a user agent', () => {
+      expect(getProductToken(USER_AGENT)).toBe('quackfetch');
+      expect(getProductToken('Mozilla/5.0 (X11; Linux)')).toBe('mozilla');
+      expect(getProductToken('')).toBe('');
+    });
+  });
+
+  describe('parseRobotsTxt', () => {
+    it('should group consecutive user-agent lines and ignore comments', () => {
+      const robots = parseRobotsTxt([
+        '# comment',
+        'User-agent: QuackFetch',
+        'user-agent: otherbot # trailing comment',
+        'Disallow: /private',
+        'Allow: /private/public',
+        'Crawl-delay: 2.5',
+        '',
+        'User-agent: *',
+        'Disallow:',
+        'Sitemap: https://example.com/sitemap.xml'
+      ].join('\r\n'));
+
+      expect(robots.groups).toHaveLength(2);
+      expect(robots.groups[0].userAgents).toEqual(['quackfetch', 'otherbot']);
+      expect(robots.groups[0].rules).toEqual([
+        { type: 'disallow', pattern: '/private', line: 4 },
+        { type: 'allow', pattern: '/private/public', line: 5 }
+      ]);
+      expect(robots.groups[0].crawlDelay).toBe(2.5);
+      expect(robots.groups[1].rules).toEqual([]);
+      expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+    });
+
+    it('should ignore rules before the first user-agent line', () => {
+      const robots = parseRobotsTxt('Disallow: /\nUser-agent: *\nDisallow: /tmp');
+      expect(robots.groups).toHaveLength(1);
+      expect(robots.groups[0].rules).toHaveLength(1);
+    });
+  });
+
+  describe('matchesRobotsPattern', () => {
+    it('should match prefixes', () => {
+      expect(matchesRobotsPattern('/search?q=1', '/search')).toBe(true);
+      expect(matchesRobotsPattern('/other', '/search')).toBe(false);
+    });
+
+    it('should support mid-pattern wildcards and end anchors', () => {
+      expect(matchesRobotsPattern('/files/report.pdf', '/*.pdf$')).toBe(true);
+      expect(matchesRobotsPattern('/files/report.pdf?x=1', '/*.pdf$')).toBe(false);
+      expect(matchesRobotsPattern('/a/b/c/edit', '/a/*/edit')).toBe(true);
+      expect(matchesRobotsPattern('/', '/$')).toBe(true);
+      expect(matchesRobotsPattern('/index.html', '/$')).toBe(false);
+      expect(matchesRobotsPattern('/ab', '/ab*b$')).toBe(false);
+      expect(matchesRobotsPattern('/abb', '/ab*b$')).toBe(true);
+      expect(matchesRobotsPattern('/x/y.php?id=1', '/*.php*id=')).toBe(true);
+      expect(matchesRobotsPattern('/x/y.php', '/*.php*id=')).toBe(false);
+      expect(matchesRobotsPattern('/private/', '/private/*$')).toBe(true);
+      expect(matchesRobotsPattern('/priv', '/private*')).toBe(false);
+    });
+
+    it('should match many wildcards without backtracking', () => {
+      const pattern = `/${'*a'.repeat(12)}*b`;
+      const path = `/${'a'.repeat(40)}`;
+
+      const started = Date.now();
+      expect(matchesRobotsPattern(path, pattern)).toBe(false);
+      expect(matchesRobotsPattern(`${path}b`, pattern)).toBe(true);
+      expect(matchesRobotsPattern(`/${'a'.repeat(100000)}`, `/${'*a'.repeat(500)}*b$`)).toBe(false);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('should compare percent-encodings consistently', () => {
+      expect(matchesRobotsPattern('/caf%c3%a9', '/café')).toBe(true);
+    });
+  });
+
+  describe('evaluateRobots', () => {
+    it('should let the longest matching rule win', () => {
+      const robots = parseRobotsTxt([
+        'User-agent: *',
+        'Disallow: /docs',
+        'Allow: /docs/public',
+        'Disallow: /docs/public/drafts'
+      ].join('\n'));
+
+      expect(isAllowedByRobots(robots, USER_AGENT, '/docs/private')).toBe(false);
+      expect(isAllowedByRobots(robots, USER_AGENT, '/docs/public/guide')).toBe(true);
+      expect(isAllowedByRobots(robots, USER_AGENT, '/docs/public/drafts/1')).toBe(false);
+      expect(isAllowedByRobots(robots, USER_AGENT, '/blog')).toBe(true);
+    });
+
+    it('should prefer allow when rules are equally specific', () => {
+      const robots = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page');
+      expect(isAllowedByRobots(robots, USER_AGENT, '/page')).toBe(true);
+    });
+
+    it('should use and merge the groups for the product token over the wildcard group', () => {
+      const robots = parseRobotsTxt([
+        'User-agent: *',
+        'Disallow: /',
+        '',
+        'User-agent: quackfetch',
+        'Disallow: /admin',
+        '',
+        'User-agent: QUACKFETCH',
+        'Disallow: /tmp'
+      ].join('\n'));
+
+      expect(isAllowedByRobots(robots, USER_AGENT, '/search')).toBe(true);
+      expect(isAllowedByRobots(robots, USER_AGENT, '/admin')).toBe(false);
+      expect(isAllowedByRobots(robots, USER_AGENT, '/tmp/x')).toBe(false);
+      expect(isAllowedByRobots(robots, 'otherbot/1.0', '/search')).toBe(false);
+    });
+
+    it('should explain which rule decided', () => {
+      const robots = parseRobotsTxt('User-agent: *\nDisallow: /html');
+      const verdict = evaluateRobots(robots, USER_AGENT, '/html/?q=test');
+
+      expect(verdict).toEqual({
+        allowed: false,
+        rule: { type: 'disallow', pattern: '/html', line: 2 },
+        userAgent: '*',
+        reason: 'matched-rule'
+      });
+    });
+
+    it('should always allow /robots.txt', () => {
+      const robots = parseRobotsTxt('User-agent: *\nDisallow: /');
+      expect(isAllowedByRobots(robots, USER_AGENT, '/robots.txt')).toBe(true);
+    });
+
+    it('should stay compatible with checkRobotsTxt', () => {
+      expect(checkRobotsTxt('User-agent: *\nDisallow: /*.pdf$', USER_AGENT, '/a.pdf')).toBe(false);
+      expect(checkRobotsTxt('', USER_AGENT, '/a.pdf')).toBe(true);
+    });
+  });
+
+  describe('getCrawlDelay', () => {
+    it('should return the largest delay from the matching groups', () => {
+      const robots = parseRobotsTxt([
+        'User-agent: *',
+        'Crawl-delay: 10',
+        '',
+        'User-agent: quackfetch',
+        'Crawl-delay: 1',
+        '',
+        'User-agent: quackfetch',
+        'Crawl-delay: 3'
+      ].join('\n'));
+
+      expect(getCrawlDelay(robots, USER_AGENT)).toBe(3);
+      expect(getCrawlDelay(robots, 'otherbot')).toBe(10);
+      expect(getCrawlDelay(parseRobotsTxt('User-agent: *\nDisallow: /x'), USER_AGENT)).toBeNull();
+    });
+  });
+
+  describe('fetchRobots', () => {
+    it('should parse successful responses', async () => {
+      nock('https://example.com')
+        .get('/robots.txt')
+        .reply(200, 'User-agent: *\nDisallow: /private');
+
+      const robots = await fetchRobots('https://example.com', USER_AGENT);
+
+      expect(robots.status).toBe(200);
+      expect(isAllowedByRobots(robots, USER_AGENT, '/private')).toBe(false);
+    });
+
+    it('should allow everything on 4xx responses', async () => {
+      nock('https://example.com')
+        .get('/robots.txt')
+        .reply(404);
+
+      const robots = await fetchRobots('https://example.com', USER_AGENT);
+
+      expect(robots.allowAll).toBe(true);
+      expect(evaluateRobots(robots, USER_AGENT, '/anything').reason).toBe('unavailable');
+    });
+
+    it('should disallow everything on 5xx responses', async () => {
+      nock('https://example.com')
+        .get('/robots.txt')
+        .reply(503);
+
+      const robots = await fetchRobots('https://example.com', USER_AGENT);
+
+      expect(robots.disallowAll).toBe(true);
+      expect(isAllowedByRobots(robots, USER_AGENT, '/anything')).toBe(false);
+    });
+
+    it('should stop reading oversized files at 500 KiB', async () => {
+      const line = 'Disallow: /padding-rule\n';
+      let sent = 0;
+
+      // Streams up to 10 MiB, of which only the start should be downloaded
+      const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.write('User-agent: *\nDisallow: /early\n');
+
+        const write = () => {
+          while (sent < 10 * 1024 * 1024 && !res.destroyed) {
+            const chunk = line.repeat(1000);
+            sent += chunk.length;
+            if (!res.write(chunk)) {
+              res.once('drain', write);
+              return;
+            }
+          }
+          res.end('Disallow: /late\n');
+        };
+        write();
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const robots = await fetchRobots(`http://127.0.0.1:${server.address().port}`, USER_AGENT);
+        const patterns = robots.groups[0].rules.map(rule => rule.pattern);
+
+        expect(sent).toBeLessThan(5 * 1024 * 1024);
+        expect(patterns[0]).toBe('/early');
+        expect(patterns).not.toContain('/late');
+        expect(patterns.every(pattern => pattern === '/early' || pattern === '/padding-rule')).toBe(true);
+        expect(isAllowedByRobots(robots, USER_AGENT, '/padding')).toBe(true);
+      } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+
+  describe('createRobotsCache', () => {
+    it('should fetch robots.txt once per host', async () => {
+      const scope = nock('https://example.com')
+        .get('/robots.txt')
+        .reply(200, 'User-agent: *\nDisallow: /private');
+
+      const robotsCache = createRobotsCache();
+
+      const [first, second] = await Promise.all([
+        robotsCache.isAllowed('https://example.com/private/page', USER_AGENT),
+        robotsCache.isAllowed('https://example.com/public', USER_AGENT)
+      ]);
+      const third = await robotsCache.isAllowed('https://example.com/other', USER_AGENT);
+
+      expect(first).toBe(false);
+      expect(second).toBe(true);
+      expect(third).toBe(true);
+      expect(scope.isDone()).toBe(true);
+      expect(robotsCache.getStats().size).toBe(1);
+    });
+
+    it('should refetch unreachable robots.txt after the error TTL', async () => {
+      nock('https://example.com')
+        .get('/robots.txt')
+        .reply(500)
+        .get('/robots.txt')
+        .reply(200, '');
+
+      const robotsCache = createRobotsCache({ errorTtl: 10 });
+
+      expect(await robotsCache.isAllowed('https://example.com/page', USER_AGENT)).toBe(false);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(await robotsCache.isAllowed('https://example.com/page', USER_AGENT)).toBe(true);
+    });
+
+    it('should let one caller stop waiting without cancelling the shared fetch', async () => {
+      nock('https://example.com')
+        .get('/robots.txt')
+        .delay(50)
+        .reply(200, 'User-agent: *\nDisallow: /private');
+
+      const robotsCache = createRobotsCache();
+      const controller = new AbortController();
+
+      const aborted = robotsCache.get('https://example.com', USER_AGENT, { signal: controller.signal });
+      const waiting = robotsCache.get('https://example.com', USER_AGENT);
+      controller.abort();
+
+      await expect(aborted).rejects.toMatchObject({ code: 'ABORTED' });
+      expect((await waiting).status).toBe(200);
+      expect(await robotsCache.isAllowed('https://example.com/private', USER_AGENT)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for scheduler.js
+ */
+
+const { createHostScheduler } = require('../src/scheduler');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('scheduler', () => {
+  describe('createHostScheduler', () => {
+    it('should run tasks in FIFO order', async () => {
+      const scheduler = createHostScheduler();
+      const order = [];
+
+      await Promise.all([1, 2, 3].map(n => scheduler.run('example.com', async () => {
+        order.push(n);
+      }, { intervalMs: 0 })));
+
+      expect(order).toEqual([1, 2, 3]);
+    });
+
+    it('should space task starts by the interval', async () => {
+      const scheduler = createHostScheduler();
+      const starts = [];
+
+      await Promise.all([1, 2, 3].map(() => scheduler.run('example.com', async () => {
+        starts.push(Date.now());
+      }, { intervalMs: 50 })));
+
+      expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(45);
+      expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(45);
+    });
+
+    it('should limit concurrent tasks per host', async () => {
+      const scheduler = createHostScheduler({ concurrency: 2 });
+      let running = 0;
+      let peak = 0;
+
+      const task = async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(20);
+        running--;
+      };
+
+      await Promise.all(Array.from({ length: 5 }, () => scheduler.run('example.com', task, { intervalMs: 0 })));
+
+      expect(peak).toBe(2);
+    });
+
+    it('should not delay other hosts', async () => {
+      const scheduler = createHostScheduler();
+
+      await scheduler.run('a.com', async () => {}, { intervalMs: 1000 });
+      const started = Date.now();
+      await scheduler.run('b.com', async () => {}, { intervalMs: 1000 });
+
+      expect(Date.now() - started).toBeLessThan(100);
+    });
+
+    it('should allow bursts up to the bucket size', async () => {
+      const scheduler = createHostScheduler({ burst: 3, concurrency: 3 });
+      const started = Date.now();
+
+      await Promise.all([1, 2, 3].map(() => scheduler.run('example.com', async () => {}, { intervalMs: 1000 })));
+
+      expect(Date.now() - started).toBeLessThan(100);
+    });
+
+    it('should pass through results and errors', async () => {
+      const scheduler = createHostScheduler();
+
+      await expect(scheduler.run('example.com', async () => 'ok', { intervalMs: 0 })).resolves.toBe('ok');
+      await expect(scheduler.run('example.com', async () => {
+        throw new Error('boom');
+      }, { intervalMs: 0 })).rejects.toThrow('boom');
+    });
+
+    it('should report queue depth and wait times', async () => {
+      const scheduler = createHostScheduler();
+
+      const pending = [1, 2, 3].map(() => scheduler.run('example.com', async () => {}, { intervalMs: 30 }));
+
+      const during = scheduler.getStats('example.com');
+      expect(during.queued).toBe(2);
+      expect(during.intervalMs).toBe(30);
+
+      await Promise.all(pending);
+
+      const after = scheduler.getStats('example.com');
+      expect(after.queued).toBe(0);
+      expect(after.completed).toBe(3);
+      expect(after.maxWaitMs).toBeGreaterThanOrEqual(50);
+      expect(scheduler.getStats()).toHaveProperty(['example.com']);
+      expect(scheduler.getStats('unknown.com')).toBeNull();
+
+      scheduler.clear();
+      expect(scheduler.getStats()).toEqual({});
+    });
+
+    it('should forget idle hosts once their bucket has refilled', async () => {
+      const scheduler = createHostScheduler();
+
+      await scheduler.run('a.com', async () => {}, { intervalMs: 0 });
+      await scheduler.run('b.com', async () => {}, { intervalMs: 10000 });
+      await scheduler.run('c.com', async () => {}, { intervalMs: 30 });
+      expect(Object.keys(scheduler.getStats())).toEqual(['b.com', 'c.com']);
+
+      await sleep(40);
+      const slow = scheduler.run('d.com', () => sleep(20), { intervalMs: 0 });
+      await scheduler.run('e.com', async () => {}, { intervalMs: 0 });
+      expect(Object.keys(scheduler.getStats())).toEqual(['b.com', 'd.com', 'e.com']);
+
+      await slow;
+      scheduler.clear();
+    });
+
+    it('should drop a queued task when its signal aborts', async () => {
+      const scheduler = createHostScheduler();
+      const controller = new AbortController();
+      const ran = [];
+
+      await scheduler.run('example.com', async () => {}, { intervalMs: 10000 });
+      const queued = scheduler.run('example.com', async () => ran.push('queued'), {
+        intervalMs: 10000,
+        signal: controller.signal
+      });
+      expect(scheduler.getStats('example.com').queued).toBe(1);
+
+      controller.abort();
+
+      await expect(queued).rejects.toMatchObject({ code: 'ABORTED' });
+      expect(scheduler.getStats('example.com').queued).toBe(0);
+      expect(ran).toEqual([]);
+      scheduler.clear();
+    });
+
+    it('should reject at once when the signal is already aborted', async () => {
+      const scheduler = createHostScheduler();
+      const task = jest.fn();
+
+      await expect(scheduler.run('example.com', task, { signal: AbortSignal.abort() }))
+        .rejects.toMatchObject({ code: 'ABORTED' });
+      expect(task).not.toHaveBeenCalled();
+    });
+  });
+});
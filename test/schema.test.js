@@ -0,0 +1,82 @@
+/**
+ * Tests for schema.js
+ */
+
+const { REQUEST_SCHEMAS, RESULT_SCHEMAS, RESPONSE_SCHEMAS, validateSchema } = require('../src/schema');
+const { InvalidInputError } = require('../src/errors');
+
+describe('schema', () => {
+  describe('validateSchema', () => {
+    it('should return valid values unchanged', () => {
+      const request = { q: 'ducks', max: 5, region: 'de-de', cache: false };
+      expect(validateSchema(REQUEST_SCHEMAS.search, request)).toEqual(request);
+    });
+
+    it('should coerce query-string values only when asked to', () => {
+      const request = { q: '42', max: '5', cache: 'false' };
+
+      expect(validateSchema(REQUEST_SCHEMAS.news, request, { coerce: true }))
+        .toEqual({ q: '42', max: 5, cache: false });
+      expect(() => validateSchema(REQUEST_SCHEMAS.news, request))
+        .toThrow('Invalid max: expected integer, got string');
+    });
+
+    it('should name the offending field', () => {
+      const error = (() => {
+        try {
+          validateSchema(REQUEST_SCHEMAS.images, { q: 'ducks', layout: 'round' });
+        } catch (caught) {
+          return caught;
+        }
+      })();
+
+      expect(error).toBeInstanceOf(InvalidInputError);
+      expect(error.field).toBe('layout');
+      expect(error.message).toMatch(/^Invalid layout: expected one of /);
+    });
+
+    it('should check required, unknown and nested values', () => {
+      const schema = {
+        type: 'object',
+        required: ['tags'],
+        additionalProperties: false,
+        properties: { tags: { type: 'array', maxItems: 2, items: { type: 'string', minLength: 1 } } }
+      };
+
+      expect(() => validateSchema(schema, {})).toThrow('Missing tags');
+      expect(() => validateSchema(schema, { tags: [], extra: 1 })).toThrow('Unknown parameter extra');
+      expect(() => validateSchema(schema, { tags: ['a', 'b', 'c'] })).toThrow('Invalid tags: must have at most 2 items');
+      expect(() => validateSchema(schema, { tags: ['a', ''] })).toThrow('Invalid tags[1]: must not be empty');
+      expect(() => validateSchema(REQUEST_SCHEMAS.search, { q: 'x'.repeat(501) }))
+        .toThrow('Invalid q: must be at most 500 characters');
+    });
+
+    it('should check date-times and name nested properties by their path', () => {
+      const result = {
+        title: 'Mallard',
+        url: 'https://example.com/mallard',
+        snippet: '',
+        source: 'example.com',
+        rank: 1,
+        retrievedAt: '2024-06-01T10:00:00.000Z'
+      };
+      const response = {
+        query: 'ducks',
+        results: [result],
+        ads: [],
+        spelling: { correctedQuery: null, didYouMean: null },
+        zeroClick: null,
+        relatedSearches: [],
+        hasMore: false,
+        count: 1,
+        timestamp: '2024-06-01T10:00:01Z'
+      };
+
+      expect(validateSchema(RESPONSE_SCHEMAS.search, response)).toEqual(response);
+      expect(() => validateSchema(RESPONSE_SCHEMAS.search, { ...response, results: [{ ...result, retrievedAt: 'June 1' }] }))
+        .toThrow('Invalid results[0].retrievedAt: expected an ISO date-time, got "June 1"');
+      expect(() => validateSchema(RESULT_SCHEMAS.web, { ...result, score: 1 }, { path: 'result' }))
+        .toThrow('Unknown property result.score');
+    });
+  });
+});
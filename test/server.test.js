@@ -0,0 +1,334 @@
+/**
+ * Tests for server.js, against a local server with a mocked upstream
+ */
+
+const nock = require('nock');
+const { createServer } = require('../src/server');
+const { createClient } = require('../src/client');
+const { RESPONSE_SCHEMAS, validateSchema } = require('../src/schema');
+
+const resultHtml = (...titles) => titles.map(title => `
+  <div class="result">
+    <a class="result__a" href="https://example.com/${title}">${title}</a>
+    <a class="result__snippet">About ${title}</a>
+  </div>
+`).join('');
+
+/**
+ * Checks a response body against the published response schema
+ * @param {Object} body - Parsed response body
+ * @param {string} name - Key of RESPONSE_SCHEMAS
+ */
+function expectResponseSchema(body, name) {
+  expect(() => validateSchema(RESPONSE_SCHEMAS[name], body, { path: 'body' })).not.toThrow();
+}
+
+describe('server', () => {
+  let server;
+  let baseUrl;
+  let logs;
+
+  /**
+   * Starts a server on a free port
+   * @param {Object} options - createServer options
+   */
+  async function start(options = {}) {
+    logs = [];
+    server = createServer({
+      client: createClient({ rateLimit: 0, checkRobots: false, retries: 0 }),
+      logger: entry => logs.push(entry),
+      ...options
+    });
+    const listener = await server.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  }
+
+  const get = (path, headers = {}) => fetch(`${baseUrl}${path}`, { headers });
+  const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  afterEach(async () => {
+    nock.cleanAll();
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  describe('searching', () => {
+    it('should answer GET and POST searches alike', async () => {
+      await start();
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'ducks' })
+        .reply(200, resultHtml('Mallard', 'Teal'));
+
+      const response = await get('/search?q=ducks&max=1');
+      expect(response.status).toBe(200);
+      const body = await response.json();
+      expect(body).toMatchObject({ query: 'ducks', count: 1, hasMore: false });
+      expect(body.results[0]).toMatchObject({ rank: 1, title: 'Mallard' });
+      expectResponseSchema(body, 'search');
+
+      // Served from the client's cache; `query` is an alias of `q`
+      const posted = await post('/search', { query: 'ducks', max: 1 });
+      expect(posted.status).toBe(200);
+      const cachedBody = await posted.json();
+      expect(cachedBody.results[0].cached).toBe(true);
+      expectResponseSchema(cachedBody, 'search');
+    });
+
+    it('should answer vertical searches', async () => {
+      await start();
+      nock('https://duckduckgo.com')
+        .get('/')
+        .query({ q: 'ducks', ia: 'news', iax: 'news' })
+        .reply(200, '<script>vqd="4-777"</script>')
+        .get('/news.js')
+        .query(query => query.vqd === '4-777')
+        .reply(200, {
+          results: [
+            { title: 'Duck <b>news</b>', url: 'https://news.example.com/1', source: 'Example News', date: 1717000000 },
+            { title: 'Undated', url: 'https://news.example.com/2' }
+          ]
+        });
+
+      const response = await post('/news', { q: 'ducks', sortBy: 'date' });
+      expect(response.status).toBe(200);
+      const body = await response.json();
+      expect(body).toMatchObject({ query: 'ducks', count: 2 });
+      expect(body.results[0]).toMatchObject({ title: 'Duck news', publisher: 'Example News' });
+      expectResponseSchema(body, 'news');
+    });
+
+    it('should validate GET and POST parameters with the same schema', async () => {
+      await start();
+
+      const cases = [
+        [get('/search?q=ducks&max=99'), 'max', 'Invalid max: must be at most 50'],
+        [post('/search', { q: 'ducks', max: 99 }), 'max', 'Invalid max: must be at most 50'],
+        [get('/search?q=ducks&rateLimit=1'), 'rateLimit', 'Unknown parameter rateLimit'],
+        [post('/search', { q: 'ducks', rateLimit: 1 }), 'rateLimit', 'Unknown parameter rateLimit'],
+        [get('/search?max=5'), 'q', 'Missing q'],
+        [post('/search', { q: '   ' }), 'q', 'Invalid q: must not be blank'],
+        [get('/images?q=ducks&size=huge'), 'size', 'Invalid size: expected one of'],
+        [post('/news', { q: 'ducks', max: '5' }), 'max', 'Invalid max: expected integer, got string']
+      ];
+
+      for (const [request, field, message] of cases) {
+        const response = await request;
+        expect(response.status).toBe(400);
+        const body = await response.json();
+        expect(body).toMatchObject({ code: 'INVALID_INPUT', field });
+        expect(body.message).toContain(message);
+        expectResponseSchema(body, 'error');
+      }
+    });
+
+    it('should reject malformed JSON and unknown routes', async () => {
+      await start();
+
+      const malformed = await post('/search', '{"q": ');
+      expect(malformed.status).toBe(400);
+      expect(await malformed.json()).toMatchObject({ code: 'INVALID_INPUT' });
+
+      const missing = await get('/nowhere');
+      expect(missing.status).toBe(404);
+      expect(await missing.json()).toMatchObject({ code: 'NOT_FOUND' });
+    });
+
+    it('should map upstream failures to HTTP statuses', async () => {
+      await start();
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'throttled' })
+        .reply(429, '', { 'Retry-After': '30' });
+
+      const response = await get('/search?q=throttled');
+      expect(response.status).toBe(429);
+      expect(response.headers.get('retry-after')).toBe('30');
+      const body = await response.json();
+      expect(body).toMatchObject({ code: 'BLOCKED', error: 'Search failed' });
+      expectResponseSchema(body, 'error');
+    });
+  });
+
+  describe('OpenAPI description', () => {
+    it('should serve a description whose schemas match the responses', async () => {
+      await start({ apiKeys: ['secret-1'] });
+
+      const response = await get('/openapi.json');
+      expect(response.status).toBe(200);
+      const spec = await response.json();
+
+      expect(spec.openapi).toBe('3.1.0');
+      expect(Object.keys(spec.paths)).toEqual(['/search', '/images', '/news', '/videos', '/health', '/openapi.json']);
+      expect(spec.paths['/news'].post.requestBody.content['application/json'].schema)
+        .toEqual({ $ref: '#/components/schemas/NewsSearchRequest' });
+      expect(spec.components.schemas.SearchResponse.properties.results.items)
+        .toEqual({ $ref: '#/components/schemas/SearchResult' });
+      expect(spec.paths['/search'].get.responses).toHaveProperty('401');
+      expect(spec.security).toEqual([{ bearerAuth: [] }, { apiKeyHeader: [] }]);
+      expect(JSON.stringify(spec)).not.toContain('patternDescription');
+
+      // Published without $refs, the health schema checks the response as it is
+      const health = await (await get('/health')).json();
+      expectResponseSchema(health, 'health');
+      expect(() => validateSchema(spec.components.schemas.Health, health)).not.toThrow();
+    });
+
+    it('should leave authentication out without API keys', async () => {
+      await start();
+
+      const spec = await (await get('/openapi.json')).json();
+
+      expect(spec.security).toBeUndefined();
+      expect(spec.components.securitySchemes).toBeUndefined();
+      expect(spec.paths['/search'].get.responses).not.toHaveProperty('401');
+    });
+  });
+
+  describe('authentication and quotas', () => {
+    it('should require a known API key except for /health', async () => {
+      await start({ apiKeys: ['secret-1', { key: 'secret-2', name: 'acme' }] });
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'ducks' })
+        .times(2)
+        .reply(200, resultHtml('Mallard'));
+
+      expect((await get('/health')).status).toBe(200);
+
+      const anonymous = await get('/search?q=ducks');
+      expect(anonymous.status).toBe(401);
+      expect(anonymous.headers.get('www-authenticate')).toBe('Bearer');
+      expectResponseSchema(await anonymous.json(), 'error');
+      expect((await get('/search?q=ducks', { 'X-API-Key': 'wrong' })).status).toBe(401);
+
+      expect((await get('/search?q=ducks', { Authorization: 'Bearer secret-1' })).status).toBe(200);
+      expect((await get('/search?q=ducks&cache=false', { 'X-API-Key': 'secret-2' })).status).toBe(200);
+
+      const callers = logs.filter(entry => entry.path === '/search').map(entry => entry.caller);
+      expect(callers).toEqual([null, null, 'key-1', 'acme']);
+      expect(JSON.stringify(logs)).not.toContain('secret');
+    });
+
+    it('should limit requests per key and window', async () => {
+      await start({
+        apiKeys: ['secret-1', { key: 'secret-2', quota: 0 }],
+        quota: 2,
+        quotaWindow: 60000
+      });
+      const asFirst = { 'X-API-Key': 'secret-1' };
+
+      const first = await get('/search?max=0', asFirst);
+      expect(first.headers.get('ratelimit-limit')).toBe('2');
+      expect(first.headers.get('ratelimit-remaining')).toBe('1');
+      await get('/search?max=0', asFirst);
+
+      const limited = await get('/search?max=0', asFirst);
+      expect(limited.status).toBe(429);
+      expect(limited.headers.get('retry-after')).toBe('60');
+      const body = await limited.json();
+      expect(body).toMatchObject({ code: 'QUOTA_EXCEEDED' });
+      expectResponseSchema(body, 'error');
+
+      // Other keys have their own quota; 0 means unlimited
+      for (let i = 0; i < 3; i++) {
+        expect((await get('/search?max=0', { 'X-API-Key': 'secret-2' })).status).toBe(400);
+      }
+    });
+  });
+
+  describe('CORS', () => {
+    it('should send no CORS headers unless origins are configured', async () => {
+      await start();
+      const response = await get('/health', { Origin: 'https://app.example' });
+      expect(response.headers.get('access-control-allow-origin')).toBeNull();
+    });
+
+    it('should allow configured origins only', async () => {
+      await start({ corsOrigins: ['https://app.example'] });
+
+      const allowed = await fetch(`${baseUrl}/search`, {
+        method: 'OPTIONS',
+        headers: { Origin: 'https://app.example', 'Access-Control-Request-Method': 'POST' }
+      });
+      expect(allowed.status).toBe(204);
+      expect(allowed.headers.get('access-control-allow-origin')).toBe('https://app.example');
+      expect(allowed.headers.get('access-control-allow-headers')).toContain('Authorization');
+
+      const other = await get('/health', { Origin: 'https://evil.example' });
+      expect(other.headers.get('access-control-allow-origin')).toBeNull();
+    });
+  });
+
+  describe('request logs', () => {
+    it('should log one JSON entry per request with its request ID', async () => {
+      await start();
+
+      const kept = await get('/health', { 'X-Request-Id': 'trace-123' });
+      expect(kept.headers.get('x-request-id')).toBe('trace-123');
+
+      const replaced = await get('/health', { 'X-Request-Id': 'not a valid id' });
+      expect(replaced.headers.get('x-request-id')).toMatch(/^[0-9a-f-]{36}$/);
+
+      await get('/search');
+
+      expect(logs).toHaveLength(3);
+      expect(logs[0]).toMatchObject({ level: 'info', requestId: 'trace-123', method: 'GET', path: '/health', status: 200 });
+      expect(logs[1].requestId).toBe(replaced.headers.get('x-request-id'));
+      expect(logs[2]).toMatchObject({ level: 'warn', status: 400, code: 'INVALID_INPUT' });
+      expect(typeof logs[0].durationMs).toBe('number');
+    });
+  });
+
+  describe('graceful shutdown', () => {
+    it('should let running searches finish before closing', async () => {
+      await start();
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'slow' })
+        .delay(200)
+        .reply(200, resultHtml('Slow'));
+
+      const pending = get('/search?q=slow');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const closed = server.close();
+      expect(server.getStats()).toMatchObject({ draining: true, activeRequests: 1 });
+
+      const response = await pending;
+      expect(response.status).toBe(200);
+      await closed;
+      expect(server.getStats().activeRequests).toBe(0);
+    });
+
+    it('should cancel searches still running after the shutdown timeout', async () => {
+      await start({ shutdownTimeout: 50 });
+      nock('https://html.duckduckgo.com')
+        .get('/html/')
+        .query({ q: 'stuck' })
+        .delay(5000)
+        .reply(200, resultHtml('Stuck'));
+
+      const pending = get('/search?q=stuck');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const closed = server.close();
+      const response = await pending;
+      expect(response.status).toBe(503);
+      const body = await response.json();
+      expect(body).toMatchObject({ code: 'SHUTTING_DOWN' });
+      expectResponseSchema(body, 'error');
+      await closed;
+    });
+  });
+});